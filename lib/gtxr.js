@@ -0,0 +1,4114 @@
+"use strict";
+
+// gtxr — the CLI's implementation and the package's programmatic API.
+// bin/gitauto.js only calls main(); see "Programmatic API" below for what
+// tools and editor plugins can use directly.
+
+const { spawnSync, execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const readline = require("readline");
+
+// ---------------------------------------------------------------------------
+// Version & constants
+// ---------------------------------------------------------------------------
+const VERSION    = "1.0.0";
+const CONFIG_DIR  = path.join(os.homedir(), ".gtxr");
+const CONFIG_FILE = path.join(CONFIG_DIR, "config.json");
+const WELCOME_MARKER = path.join(CONFIG_DIR, ".welcomed");
+const AI_MODULES_DIR = path.join(CONFIG_DIR, "node_modules");
+
+const PROVIDERS = ["openai", "anthropic", "gemini", "custom"];
+
+// Exit codes — stable, so scripts and CI can tell failures apart.
+const EXIT = {
+  OK:            0,
+  ERROR:         1,  // usage errors, not a repo, staging failed, ...
+  NOTHING:       2,  // nothing to commit
+  AI_FAILED:     3,
+  COMMIT_FAILED: 4,
+  PUSH_FAILED:   5,
+  SECRETS:       6,  // possible secrets in the changes
+};
+
+// ---------------------------------------------------------------------------
+// Colors
+// ---------------------------------------------------------------------------
+const C = {
+  reset:  "\x1b[0m",
+  bold:   "\x1b[1m",
+  dim:    "\x1b[2m",
+  red:    "\x1b[91m",
+  green:  "\x1b[92m",
+  yellow: "\x1b[93m",
+  cyan:   "\x1b[96m",
+  purple: "\x1b[95m",
+};
+
+// Status lines go through runtime.log, which defaults to printLog; library
+// callers can capture or silence them with configure({ log }).
+const LOG_STYLE = {
+  ok:    [C.green,  "✓"],
+  info:  [C.cyan,   "ℹ"],
+  warn:  [C.yellow, "⚠"],
+  error: [C.red,    "✗"],
+};
+
+function printLog(level, msg) {
+  const [color, mark] = LOG_STYLE[level];
+  console.log(`${color}${mark} ${msg}${C.reset}`);
+}
+
+const ok   = (msg) => runtime.log("ok", msg);
+const info = (msg) => runtime.log("info", msg);
+const warn = (msg) => runtime.log("warn", msg);
+const err  = (msg) => runtime.log("error", msg);
+
+function header(text) {
+  const bar = "═".repeat(34);
+  console.log(`\n${C.purple}${C.bold}  ╔${bar}╗${C.reset}`);
+  console.log(`${C.purple}${C.bold}  ║ ${text.padEnd(33)}║${C.reset}`);
+  console.log(`${C.purple}${C.bold}  ╚${bar}╝${C.reset}\n`);
+}
+
+// ---------------------------------------------------------------------------
+// Readline helper — prompts
+// ---------------------------------------------------------------------------
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => { rl.close(); resolve(answer.trim()); });
+  });
+}
+
+// Like prompt(), but nothing typed is echoed — for API keys and passphrases.
+function promptHidden(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  let muted = false;
+  rl._writeToOutput = (text) => { if (!muted) rl.output.write(text); };
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => { rl.close(); rl.output.write("\n"); resolve(answer.trim()); });
+    muted = true;
+  });
+}
+
+// Splits typed input into words, honouring "double" / 'single' quotes and
+// backslash escapes, so paths with spaces survive.
+function splitWords(input) {
+  const words = [];
+  let word = null, quote = null;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === "\\" && quote === '"' && i + 1 < input.length) word += input[++i];
+      else word += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch; word = word || "";
+    } else if (ch === "\\" && i + 1 < input.length) {
+      word = (word || "") + input[++i];
+    } else if (/\s/.test(ch)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word || "") + ch;
+    }
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+// gitignore-flavoured glob: * and ? stay within a path segment, ** crosses
+// segments. A pattern without a slash matches the file name at any depth.
+function globToRegExp(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*" && pattern[i + 1] === "*") {
+      i++;
+      if (pattern[i + 1] === "/") { i++; re += "(?:.*/)?"; } else re += ".*";
+    } else if (ch === "*") re += "[^/]*";
+    else if (ch === "?") re += "[^/]";
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  const anchored = pattern.replace(/\/$/, "").includes("/");
+  return new RegExp(`${anchored ? "^" : "(^|/)"}${re.replace(/^\//, "")}${pattern.endsWith("/") ? "" : "(/|$)"}`);
+}
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE))
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+  } catch (_) {}
+  return {};
+}
+
+function saveConfig(data) {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(data, null, 2));
+  try { fs.chmodSync(CONFIG_FILE, 0o600); } catch (_) {}
+}
+
+// Repository config, committed with the code. Looked up from the current
+// directory up to the repository root; the closest file wins.
+const REPO_CONFIG_FILES = [".gtxrrc", "gtxr.config.json"];
+const DEFAULT_PROTECTED_BRANCHES = ["main", "master", "release/*"];
+
+// Only team conventions may come from a repository. Credentials and where
+// requests go (provider, apiKey, baseUrl, models) stay user-only, so a
+// cloned repo cannot redirect your key.
+const REPO_CONFIG_KEYS = [
+  "commitStyle", "commitBody", "trailers", "protectedBranches", "branchPattern", "remote", "baseBranch",
+  "ignore", "redact", "prompt", "diffBudget", "lint", "ticket",
+];
+
+// Environment variables, applied over every config file.
+const ENV_CONFIG = {
+  GTXR_PROVIDER:           ["provider",          String],
+  GTXR_COMMIT_STYLE:       ["commitStyle",       String],
+  GTXR_COMMIT_BODY:        ["commitBody",        v => /^(1|true|yes)$/i.test(v)],
+  GTXR_REMOTE:             ["remote",            String],
+  GTXR_PROTECTED_BRANCHES: ["protectedBranches", v => v.split(",").map(b => b.trim()).filter(Boolean)],
+  GTXR_FALLBACK:           ["fallback",          v => v.split(",").map(p => p.trim()).filter(Boolean)],
+};
+
+function isPlainObject(v) { return v !== null && typeof v === "object" && !Array.isArray(v); }
+
+// Plain objects merge key by key; everything else (arrays included) replaces.
+function mergeConfig(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) {
+    out[k] = isPlainObject(v) && isPlainObject(out[k]) ? mergeConfig(out[k], v) : v;
+  }
+  return out;
+}
+
+function findRepoConfigs(startDir, rootDir) {
+  const found = [];
+  let dir = path.resolve(startDir);
+  const root = path.resolve(rootDir);
+  while (true) {
+    const file = REPO_CONFIG_FILES.map(f => path.join(dir, f)).find(f => fs.existsSync(f));
+    if (file) found.unshift(file); // outermost first, so closer files win
+    if (dir === root || path.dirname(dir) === dir) break;
+    dir = path.dirname(dir);
+  }
+  return found;
+}
+
+function readRepoConfig(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    warn(`Ignoring ${file}: ${e.message}`);
+    return {};
+  }
+  const picked = {};
+  for (const [k, v] of Object.entries(isPlainObject(data) ? data : {})) {
+    if (REPO_CONFIG_KEYS.includes(k)) picked[k] = v;
+    else warn(`${path.basename(file)}: '${k}' can only be set in ${CONFIG_FILE} — ignored.`);
+  }
+  return picked;
+}
+
+function envConfig(env) {
+  const out = {};
+  for (const [name, [key, parse]] of Object.entries(ENV_CONFIG)) {
+    if (env[name]) out[key] = parse(env[name]);
+  }
+  if (env.GTXR_MODEL) out.model = env.GTXR_MODEL;
+  return out;
+}
+
+// Effective config. Precedence, lowest to highest: built-in defaults,
+// ~/.gtxr/config.json, repository files (outermost first), environment
+// variables. Command-line flags are applied on top by the caller. Repository
+// files are looked up from `cwd` (default: configure()'s cwd, else the process's).
+function resolveConfig(cwd = workDir()) {
+  let config = mergeConfig({ protectedBranches: DEFAULT_PROTECTED_BRANCHES }, loadConfig());
+  for (const file of findRepoConfigs(path.resolve(cwd), getRepoRoot())) {
+    config = mergeConfig(config, readRepoConfig(file));
+  }
+  const { model, ...env } = envConfig(process.env);
+  config = mergeConfig(config, env);
+  if (config.provider) config = providerConfig(config, config.provider);
+  return model ? withModel(config, model) : config;
+}
+
+// ---------------------------------------------------------------------------
+// Git helpers
+// ---------------------------------------------------------------------------
+// Every git call except interactive `add -p` goes through runtime.git, which
+// takes (args, { env }) and returns spawnSync's { status, stdout, stderr }.
+// runtime.ai, when set, replaces the provider SDKs: (config, prompt, params)
+// resolving to the reply text or { text, usage }. runtime.cwd is the working
+// tree the default runner and config lookup use. See configure().
+const runtime = { git: spawnGit, ai: null, log: printLog, cwd: null };
+
+function workDir() { return runtime.cwd || process.cwd(); }
+
+// A path inside .git, absolute. git prints it relative to the directory it
+// ran in, which is workDir(), not necessarily process.cwd().
+function gitPath(name, fallback = path.join(".git", name)) {
+  return path.resolve(workDir(), git("rev-parse", "--git-path", name).stdout || fallback);
+}
+
+function spawnGit(args, { env } = {}) {
+  return spawnSync("git", args, { encoding: "utf8", cwd: workDir(), env: env || process.env });
+}
+
+function git(...args) {
+  const r = runtime.git(args);
+  return {
+    ok:     r.status === 0,
+    stdout: (r.stdout || "").trim(),
+    stderr: (r.stderr || "").trim(),
+  };
+}
+
+function isGitRepo()       { return git("rev-parse", "--git-dir").ok; }
+function getStatus()       { const r = git("status", "--short"); return r.ok ? r.stdout : ""; }
+function getCurrentBranch(){ const r = git("branch", "--show-current"); return r.ok ? r.stdout : "main"; }
+function getRemoteUrl(remote = "origin") { const r = git("remote", "get-url", remote); return r.ok ? r.stdout : "No remote configured"; }
+function getRepoRoot()     { const r = git("rev-parse", "--show-toplevel"); return r.ok ? r.stdout : workDir(); }
+
+function getStagedFiles() {
+  const staged = git("diff", "--cached", "--name-only");
+  if (staged.ok && staged.stdout) return staged.stdout.split("\n");
+  const unstaged = git("diff", "--name-only");
+  return unstaged.ok && unstaged.stdout ? unstaged.stdout.split("\n") : [];
+}
+
+// Parsed `git status --porcelain -z`: [{ status: "XY", path }]. Untracked
+// directories are expanded so every file can be picked on its own.
+function getStatusEntries() {
+  // Not via git(): trimming would eat the leading space of " M path".
+  const r = runtime.git(["status", "--porcelain", "-z", "--untracked-files=all"]);
+  if (r.status !== 0) return [];
+  const parts = r.stdout.split("\0").filter(Boolean);
+  const entries = [];
+  for (let i = 0; i < parts.length; i++) {
+    const status = parts[i].slice(0, 2);
+    entries.push({ status, path: parts[i].slice(3) });
+    if (status[0] === "R" || status[0] === "C") i++; // skip the original path
+  }
+  return entries;
+}
+
+function getDiff() {
+  const staged = git("diff", "--cached");
+  if (staged.ok && staged.stdout) return staged.stdout;
+  const unstaged = git("diff");
+  return unstaged.ok ? unstaged.stdout : "";
+}
+
+// ---------------------------------------------------------------------------
+// AI library — lazy install into ~/.gitauto/node_modules
+// ---------------------------------------------------------------------------
+const AI_PACKAGES = {
+  openai:    "openai",
+  anthropic: "@anthropic-ai/sdk",
+  gemini:    "@google/genai",
+};
+
+function ensureAiPackage(provider) {
+  const pkg = AI_PACKAGES[provider];
+  const pkgPath = path.join(AI_MODULES_DIR, pkg.replace("/", path.sep));
+
+  if (fs.existsSync(pkgPath)) return; // already installed
+
+  info(`Installing ${pkg}...`);
+  fs.mkdirSync(AI_MODULES_DIR, { recursive: true });
+
+  const r = spawnSync(
+    "npm", ["install", "--prefix", CONFIG_DIR, "--no-save", "--loglevel", "error", pkg],
+    { encoding: "utf8", stdio: ["ignore", "ignore", "pipe"] }
+  );
+
+  if (r.status !== 0) {
+    throw new Error(`Failed to install ${pkg}:\n${r.stderr}`);
+  }
+}
+
+function requireAi(provider) {
+  const pkg = AI_PACKAGES[provider];
+  // Add CONFIG_DIR node_modules to resolution path
+  const Module = require("module");
+  const origPaths = Module._nodeModulePaths;
+  Module._nodeModulePaths = function(from) {
+    return [AI_MODULES_DIR, ...origPaths.call(this, from)];
+  };
+  try {
+    return require(path.join(AI_MODULES_DIR, pkg, "index.js"));
+  } catch(_) {
+    // fallback to standard require with modified path
+    require.resolve.paths = () => [AI_MODULES_DIR];
+    return require(pkg);
+  } finally {
+    Module._nodeModulePaths = origPaths;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// HTTP helper
+// ---------------------------------------------------------------------------
+// timeout is in seconds; when it passes the request is destroyed, so a
+// server that never answers can't keep the process alive.
+function requestJson(method, url, { headers = {}, body, timeout } = {}) {
+  const u = new URL(url);
+  const client = require(u.protocol === "http:" ? "http" : "https");
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(u, {
+      method,
+      headers: {
+        "User-Agent": "gtxr",
+        "Accept": "application/json",
+        ...(payload ? { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) } : {}),
+        ...headers,
+      },
+    }, (res) => {
+      let data = "";
+      res.on("data", chunk => data += chunk);
+      res.on("end", () => {
+        let json = null;
+        try { json = data ? JSON.parse(data) : null; } catch (_) {}
+        if (res.statusCode >= 200 && res.statusCode < 300) return resolve(json);
+        const detail = (json && json.error && (json.error.message || json.error)) || data.slice(0, 200);
+        reject(new Error(`${res.statusCode} ${detail}`));
+      });
+    });
+    req.on("error", reject);
+    if (timeout) req.setTimeout(timeout * 1000, () => req.destroy(new Error(`Request timed out after ${timeout}s`)));
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// AI settings — per provider, stored under config.providers[<name>]
+// ---------------------------------------------------------------------------
+const DEFAULT_MODELS = {
+  openai:    "gpt-4o-mini",
+  anthropic: "claude-3-5-sonnet-20241022",
+  gemini:    "gemini-2.5-flash",
+};
+const DEFAULT_TIMEOUT = 60; // seconds
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS   = 1000; // doubles per retry: 1s, 2s, 4s, ...
+const RETRY_MAX_MS    = 30000;
+
+// Resolved settings for the configured provider. maxTokens and temperature
+// stay undefined unless configured, so each call can use its own default.
+function aiSettings(config) {
+  const s = (config.providers && config.providers[config.provider]) || {};
+  return {
+    model:       s.model || DEFAULT_MODELS[config.provider],
+    maxTokens:   s.maxTokens,
+    temperature: s.temperature,
+    timeout:     s.timeout || DEFAULT_TIMEOUT,
+    retries:     s.retries === undefined ? DEFAULT_RETRIES : s.retries,
+  };
+}
+
+function validateAiSettings(settings) {
+  const problems = [];
+  if (!settings.model) problems.push("No model configured.");
+  if (settings.maxTokens !== undefined && !(Number.isInteger(settings.maxTokens) && settings.maxTokens > 0))
+    problems.push(`maxTokens must be a positive integer (got ${JSON.stringify(settings.maxTokens)}).`);
+  if (settings.temperature !== undefined && !(typeof settings.temperature === "number" && settings.temperature >= 0 && settings.temperature <= 2))
+    problems.push(`temperature must be a number from 0 to 2 (got ${JSON.stringify(settings.temperature)}).`);
+  if (!(typeof settings.timeout === "number" && settings.timeout > 0))
+    problems.push(`timeout must be a positive number of seconds (got ${JSON.stringify(settings.timeout)}).`);
+  if (!(Number.isInteger(settings.retries) && settings.retries >= 0))
+    problems.push(`retries must be a whole number, 0 or more (got ${JSON.stringify(settings.retries)}).`);
+  return problems;
+}
+
+// Returns a copy of config with the current provider's model replaced.
+function withModel(config, model) {
+  const providers = { ...config.providers };
+  providers[config.provider] = { ...providers[config.provider], model };
+  return { ...config, providers };
+}
+
+// Backstop for the deadline each client enforces itself (and for a
+// configured runtime.ai, which may not): rejects, but can't cancel anything.
+function withTimeout(promise, seconds) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Request timed out after ${seconds}s`)), seconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ---------------------------------------------------------------------------
+// API keys — environment, a password-manager command, or the config file
+// (optionally encrypted with a passphrase)
+// ---------------------------------------------------------------------------
+const PROVIDER_KEY_ENV = {
+  openai:    "OPENAI_API_KEY",
+  anthropic: "ANTHROPIC_API_KEY",
+  gemini:    "GEMINI_API_KEY",
+};
+const ENCRYPTED_PREFIX = "enc:v1:";
+const KEY_COMMAND_TIMEOUT = 30000; // ms — long enough to unlock a vault
+
+let passphrase = process.env.GTXR_PASSPHRASE || null;
+const commandKeys = new Map(); // command -> key, so a vault is asked once per run
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+// scrypt-derived key, AES-256-GCM. Stored as base64(salt | iv | tag | data).
+function encryptSecret(plain, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv   = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", crypto.scryptSync(secret, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return ENCRYPTED_PREFIX + Buffer.concat([salt, iv, cipher.getAuthTag(), data]).toString("base64");
+}
+
+// Throws on a wrong passphrase or a damaged value (GCM authentication).
+function decryptSecret(value, secret) {
+  const raw = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", crypto.scryptSync(secret, raw.subarray(0, 16), 32), raw.subarray(16, 28));
+  decipher.setAuthTag(raw.subarray(28, 44));
+  return Buffer.concat([decipher.update(raw.subarray(44)), decipher.final()]).toString("utf8");
+}
+
+function keyError(message) {
+  const e = new Error(message);
+  e.code = "GTXR_CONFIG";
+  return e;
+}
+
+async function getPassphrase() {
+  if (passphrase) return passphrase;
+  if (!process.stdin.isTTY) throw keyError("The API key is encrypted — set GTXR_PASSPHRASE to use it without a terminal.");
+  passphrase = await promptHidden("Passphrase for the encrypted API key: ");
+  return passphrase;
+}
+
+function runKeyCommand(command) {
+  if (commandKeys.has(command)) return commandKeys.get(command);
+  const r = spawnSync(command, { shell: true, encoding: "utf8", timeout: KEY_COMMAND_TIMEOUT, stdio: ["inherit", "pipe", "pipe"] });
+  const key = (r.stdout || "").trim();
+  if (r.status !== 0 || !key) {
+    const why = (r.stderr || "").trim() || (r.error && r.error.message) ||
+      (r.status !== 0 ? `exit code ${r.status}` : "it printed nothing");
+    throw keyError(`apiKeyCommand failed: ${why}`);
+  }
+  commandKeys.set(command, key);
+  return key;
+}
+
+// The key itself, resolved only when a request is about to be sent.
+async function apiKeyFor(config) {
+  if (config.apiKeyCommand) return runKeyCommand(config.apiKeyCommand);
+  if (!isEncrypted(config.apiKey)) return config.apiKey;
+  try {
+    return decryptSecret(config.apiKey, await getPassphrase());
+  } catch (e) {
+    if (e.code === "GTXR_CONFIG") throw e;
+    passphrase = null;
+    throw keyError(`Could not decrypt the ${config.provider} API key — wrong passphrase?`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// AI call
+// ---------------------------------------------------------------------------
+// The config as seen by one provider. Keys and base URLs live under
+// providers[<name>]; the top-level ones belong to the main provider.
+// The first key source wins: GTXR_API_KEY (main provider only), the
+// provider's usual variable such as OPENAI_API_KEY, apiKeyCommand, then the
+// stored (possibly encrypted) apiKey.
+function providerConfig(config, name, env = process.env) {
+  const s = (config.providers || {})[name] || {};
+  const main = name === config.provider;
+  const envKey = (main && env.GTXR_API_KEY) || env[PROVIDER_KEY_ENV[name]];
+  const command = s.apiKeyCommand || (main ? config.apiKeyCommand : undefined);
+  return {
+    ...config,
+    provider:      name,
+    apiKey:        envKey || (command ? undefined : s.apiKey || (main ? config.apiKey : undefined)),
+    apiKeyCommand: envKey ? undefined : command,
+    baseUrl:       s.baseUrl || (main ? config.baseUrl : undefined),
+  };
+}
+
+// The main provider, then each configured "fallback" provider in order.
+function providerChain(config) {
+  const names = [config.provider, ...(config.fallback || [])]
+    .filter((name, i, all) => PROVIDERS.includes(name) && all.indexOf(name) === i);
+  return names
+    .map(name => providerConfig(config, name))
+    .filter((c, i) => i === 0 || isAiConfigured(c));
+}
+
+// Rate limits, overloaded or failing servers and dropped connections are
+// worth retrying; bad keys, unknown models and bad requests are not.
+function isTransientError(error) {
+  const status = error.status || Number((/^(\d{3})\b/.exec(error.message || "") || [])[1]);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  if (["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"].includes(error.code)) return true;
+  return /timed out|rate limit|overloaded|socket hang up/i.test(error.message || "");
+}
+
+function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS) * (0.75 + Math.random() * 0.5);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isAiConfigured(config) {
+  if (config.provider === "custom") return Boolean(config.baseUrl && aiSettings(config).model);
+  return Boolean(config.provider && (config.apiKey || config.apiKeyCommand));
+}
+
+// OpenAI-compatible chat endpoint (Ollama, vLLM, LM Studio, ...). Plain HTTP,
+// so it needs no SDK install and works without internet access.
+async function callCustom(config, prompt, params) {
+  const url = config.baseUrl.replace(/\/+$/, "") + "/chat/completions";
+  const apiKey = await apiKeyFor(config);
+  const res = await requestJson("POST", url, {
+    timeout: params.timeout,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    body: {
+      model: params.model,
+      messages: [{ role: "user", content: prompt }],
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+    },
+  });
+  const choice = res && res.choices && res.choices[0];
+  if (!choice) throw new Error(`Unexpected response from ${url}`);
+  return {
+    text:  (choice.message ? choice.message.content : choice.text || "").trim(),
+    usage: res.usage && { input: res.usage.prompt_tokens, output: res.usage.completion_tokens },
+  };
+}
+
+// Each provider resolves { text, usage }; usage is { input, output } tokens
+// as the provider reports them, or missing when it doesn't.
+async function callProvider(config, prompt, params) {
+  const { provider } = config;
+  const { model, maxTokens, temperature } = params;
+  if (provider === "custom") return callCustom(config, prompt, params);
+
+  // The SDKs take milliseconds and abort the request themselves; retries
+  // are left to callWithRetries.
+  const timeout = params.timeout * 1000;
+
+  const apiKey = await apiKeyFor(config);
+  ensureAiPackage(provider);
+
+  if (provider === "openai") {
+    const { OpenAI } = require(path.join(AI_MODULES_DIR, "openai"));
+    const client = new OpenAI({ apiKey, timeout, maxRetries: 0 });
+    const res = await client.chat.completions.create({
+      model,
+      messages: [{ role: "user", content: prompt }],
+      max_tokens: maxTokens,
+      temperature,
+    });
+    return {
+      text:  res.choices[0].message.content.trim(),
+      usage: res.usage && { input: res.usage.prompt_tokens, output: res.usage.completion_tokens },
+    };
+  }
+
+  if (provider === "anthropic") {
+    const Anthropic = require(path.join(AI_MODULES_DIR, "@anthropic-ai", "sdk"));
+    const client = new (Anthropic.default || Anthropic)({ apiKey, timeout, maxRetries: 0 });
+    const msg = await client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: "user", content: prompt }],
+    });
+    return {
+      text:  msg.content[0].text.trim(),
+      usage: msg.usage && { input: msg.usage.input_tokens, output: msg.usage.output_tokens },
+    };
+  }
+
+  if (provider === "gemini") {
+    const { GoogleGenAI } = require(path.join(AI_MODULES_DIR, "@google", "genai"));
+    const ai  = new GoogleGenAI({ apiKey, httpOptions: { timeout } });
+    const res = await ai.models.generateContent({
+      model,
+      contents: prompt,
+      config: temperature === undefined ? undefined : { temperature },
+    });
+    const meta = res.usageMetadata;
+    return {
+      text:  res.text.trim(),
+      usage: meta && { input: meta.promptTokenCount, output: meta.candidatesTokenCount },
+    };
+  }
+
+  throw new Error(`Unknown provider: ${provider}`);
+}
+
+// Tries each provider in the chain, retrying transient failures with
+// backoff. The error that finally escapes names the provider it came from.
+async function callAI(config, prompt, maxTokens = 100) {
+  checkBudget(config);
+  const chain = providerChain(config);
+  let lastError;
+  for (const [i, provider] of chain.entries()) {
+    if (lastError) warn(`${chain[i - 1].provider} failed (${lastError.message}) — falling back to ${provider.provider}...`);
+    try {
+      return await callWithRetries(provider, prompt, maxTokens);
+    } catch (e) {
+      e.provider = provider.provider;
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+async function callWithRetries(config, prompt, maxTokens) {
+  const settings = aiSettings(config);
+  const problems = validateAiSettings(settings);
+  if (problems.length) {
+    const e = new Error(`Invalid ${config.provider} settings: ${problems.join(" ")}`);
+    e.code = "GTXR_CONFIG";
+    throw e;
+  }
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await callOnce(config, settings, prompt, maxTokens);
+    } catch (e) {
+      if (attempt >= settings.retries || !isTransientError(e)) throw e;
+      const ms = retryDelay(attempt);
+      info(`${config.provider}: ${e.message} — retrying in ${(ms / 1000).toFixed(1)}s (${attempt + 1}/${settings.retries})...`);
+      await sleep(ms);
+    }
+  }
+}
+
+async function callOnce(config, settings, prompt, maxTokens) {
+  const started = Date.now();
+  const entry = { time: new Date().toISOString(), repo: getRepoRoot(), provider: config.provider, model: settings.model };
+  try {
+    const reply = await withTimeout(
+      (runtime.ai || callProvider)(config, prompt, { ...settings, maxTokens: settings.maxTokens || maxTokens }),
+      settings.timeout
+    );
+    const { text, usage } = typeof reply === "string" ? { text: reply } : reply;
+    const counted = usage && Number.isFinite(usage.input) && Number.isFinite(usage.output);
+    recordUsage({
+      ...entry,
+      inputTokens:  counted ? usage.input : estimateTokens(prompt),
+      outputTokens: counted ? usage.output : estimateTokens(text),
+      estimated:    !counted,
+      ms:           Date.now() - started,
+      outcome:      "ok",
+    });
+    return text;
+  } catch (e) {
+    recordUsage({ ...entry, inputTokens: 0, outputTokens: 0, ms: Date.now() - started, outcome: "error", error: e.message });
+    throw e;
+  }
+}
+
+function isModelRejected(message) {
+  const msg = message.toLowerCase();
+  return msg.includes("model") &&
+    ["not found", "not_found", "does not exist", "404", "unknown model", "not supported"].some(k => msg.includes(k));
+}
+
+function handleAiError(config, error) {
+  if (error.provider && error.provider !== config.provider) config = providerConfig(config, error.provider);
+  const provider = config.provider;
+  const msg = (error.message || "").toLowerCase();
+  if (error.code === "GTXR_CONFIG") {
+    err(error.message);
+    info(`Fix "providers.${provider}" in ${CONFIG_FILE} or rerun: gtxr setup`);
+  } else if (error.code === "GTXR_BUDGET") {
+    err(error.message);
+    info(`Raise "budget.monthly" in ${CONFIG_FILE}, check spending with: gtxr stats, or use: gtxr --no-ai`);
+  } else if (["econnrefused", "enotfound", "econnreset"].includes((error.code || "").toLowerCase())) {
+    err(`Could not reach the AI endpoint: ${error.message}`);
+    if (provider === "custom") info("Is the model server running? Check baseUrl with: gtxr setup");
+  } else if (isModelRejected(msg)) {
+    err(`${provider} rejected model '${aiSettings(config).model}': ${error.message}`);
+    info("Pick another model with: gtxr setup  or  gtxr --model <id>");
+  } else if (msg.includes("timed out")) {
+    err(`${error.message}. Raise "timeout" for ${provider} with: gtxr setup`);
+  } else if (msg.includes("credit") || msg.includes("quota") || msg.includes("insufficient")) {
+    err("AI API credits exhausted.");
+    if (provider === "anthropic") info("Billing: https://console.anthropic.com/settings/billing");
+    if (provider === "openai")    info("Billing: https://platform.openai.com/account/billing");
+    info("Or skip AI with: gtxr --no-ai");
+  } else if (msg.includes("invalid") || msg.includes("auth") || msg.includes("401")) {
+    err("Invalid API key. Reconfigure with: gtxr setup");
+  } else if (msg.includes("rate") || msg.includes("429")) {
+    err("Rate limit hit. Wait a moment and retry, or use: gtxr --no-ai");
+  } else {
+    err(`AI generation failed: ${error.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Usage history — one JSON line per AI call, priced on read
+// ---------------------------------------------------------------------------
+const HISTORY_FILE = path.join(CONFIG_DIR, "history.jsonl");
+
+// USD per million tokens. Looked up by the longest matching model prefix, so
+// dated snapshots (gpt-4o-2024-08-06) share their family's price. Extend or
+// override with "prices" in the config; unpriced models count as free.
+const DEFAULT_PRICES = {
+  "gpt-4o-mini":       { input: 0.15, output: 0.60 },
+  "gpt-4o":            { input: 2.50, output: 10.00 },
+  "gpt-4.1-nano":      { input: 0.10, output: 0.40 },
+  "gpt-4.1-mini":      { input: 0.40, output: 1.60 },
+  "gpt-4.1":           { input: 2.00, output: 8.00 },
+  "claude-3-5-haiku":  { input: 0.80, output: 4.00 },
+  "claude-3-5-sonnet": { input: 3.00, output: 15.00 },
+  "claude-3-7-sonnet": { input: 3.00, output: 15.00 },
+  "claude-sonnet-4":   { input: 3.00, output: 15.00 },
+  "claude-opus-4":     { input: 15.00, output: 75.00 },
+  "gemini-2.0-flash":  { input: 0.10, output: 0.40 },
+  "gemini-2.5-flash":  { input: 0.30, output: 2.50 },
+  "gemini-2.5-pro":    { input: 1.25, output: 10.00 },
+};
+const BUDGET_ACTIONS = ["warn", "disable"];
+
+let budgetWarned = false;
+
+function recordUsage(entry) {
+  try {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + "\n");
+  } catch (_) {} // history is best-effort; never fail a call over it
+}
+
+function loadUsage() {
+  let text = "";
+  try { text = fs.readFileSync(HISTORY_FILE, "utf8"); } catch (_) { return []; }
+  const entries = [];
+  for (const line of text.split("\n")) {
+    try { if (line) entries.push(JSON.parse(line)); } catch (_) {}
+  }
+  return entries;
+}
+
+function priceTable(config) {
+  return { ...DEFAULT_PRICES, ...(config.prices || {}) };
+}
+
+function modelPrice(model, prices) {
+  const key = Object.keys(prices)
+    .filter(k => (model || "").startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+// Estimated USD for one entry, or null when its model has no price.
+function usageCost(entry, prices) {
+  const price = modelPrice(entry.model, prices);
+  if (!price) return null;
+  return ((entry.inputTokens || 0) * (price.input || 0) + (entry.outputTokens || 0) * (price.output || 0)) / 1e6;
+}
+
+// "budget": 5 is shorthand for { "monthly": 5, "action": "warn" }.
+function budgetSettings(config) {
+  const b = config.budget;
+  if (typeof b === "number") return { monthly: b, action: "warn" };
+  if (!b || typeof b.monthly !== "number") return null;
+  return { monthly: b.monthly, action: BUDGET_ACTIONS.includes(b.action) ? b.action : "warn" };
+}
+
+// Months are calendar months in UTC, matching the ISO timestamps.
+function monthSpend(entries, prices, now = new Date()) {
+  const month = now.toISOString().slice(0, 7);
+  return entries
+    .filter(e => (e.time || "").startsWith(month))
+    .reduce((sum, e) => sum + (usageCost(e, prices) || 0), 0);
+}
+
+function checkBudget(config) {
+  const budget = budgetSettings(config);
+  if (!budget) return;
+  const spent = monthSpend(loadUsage(), priceTable(config));
+  if (spent < budget.monthly) return;
+  const msg = `Monthly AI budget of $${budget.monthly.toFixed(2)} reached ($${spent.toFixed(2)} spent this month).`;
+  if (budget.action === "disable") {
+    const e = new Error(`${msg} AI is disabled until next month.`);
+    e.code = "GTXR_BUDGET";
+    throw e;
+  }
+  if (!budgetWarned) warn(msg);
+  budgetWarned = true;
+}
+
+// Groups entries by key(entry): calls, failures, tokens and cost per group.
+function summarizeUsage(entries, key, prices) {
+  const groups = new Map();
+  for (const e of entries) {
+    const k = key(e);
+    const g = groups.get(k) || { key: k, calls: 0, failed: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+    g.calls++;
+    if (e.outcome !== "ok") g.failed++;
+    g.inputTokens  += e.inputTokens || 0;
+    g.outputTokens += e.outputTokens || 0;
+    const cost = usageCost(e, prices);
+    if (cost === null) { if (e.outcome === "ok") g.unpriced++; } else g.cost += cost;
+    groups.set(k, g);
+  }
+  return [...groups.values()];
+}
+
+function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+function formatCost(g) {
+  if (g.unpriced === g.calls - g.failed && g.unpriced) return "—";
+  return `$${g.cost < 0.01 && g.cost > 0 ? g.cost.toFixed(4) : g.cost.toFixed(2)}`;
+}
+
+function printUsageGroups(title, groups) {
+  console.log(`\n${C.bold}${title}${C.reset}`);
+  const width = Math.max(...groups.map(g => g.key.length));
+  for (const g of groups) {
+    const failed = g.failed ? `${C.yellow}${g.failed} failed${C.reset}` : "";
+    console.log(`  ${g.key.padEnd(width)}  ${String(g.calls).padStart(5)} calls  ` +
+      `${formatTokens(g.inputTokens).padStart(7)} in  ${formatTokens(g.outputTokens).padStart(7)} out  ` +
+      `${formatCost(g).padStart(9)}  ${failed}`);
+  }
+}
+
+const DEFAULT_STATS_DAYS = 30;
+
+async function cmdStats(opts) {
+  header("GTXR Stats");
+  const config = resolveConfig();
+  const prices = priceTable(config);
+  const days = opts.days || DEFAULT_STATS_DAYS;
+  const since = new Date(Date.now() - days * 86400000).toISOString();
+  const all = loadUsage();
+  const entries = all.filter(e => (e.time || "") >= since);
+
+  if (!entries.length) {
+    info(`No AI calls in the last ${days} days.`);
+  } else {
+    const [total] = summarizeUsage(entries, () => "Total", prices);
+    info(`Last ${days} days: ${total.calls} call(s), ${formatTokens(total.inputTokens)} tokens in, ` +
+      `${formatTokens(total.outputTokens)} out, about ${formatCost(total)}`);
+    printUsageGroups("By day", summarizeUsage(entries, e => e.time.slice(0, 10), prices)
+      .sort((a, b) => b.key.localeCompare(a.key)));
+    printUsageGroups("By repository", summarizeUsage(entries, e => e.repo || "?", prices)
+      .sort((a, b) => b.cost - a.cost || b.calls - a.calls));
+    printUsageGroups("By provider", summarizeUsage(entries, e => `${e.provider} ${e.model}`, prices)
+      .sort((a, b) => b.cost - a.cost || b.calls - a.calls));
+    const unpriced = summarizeUsage(entries, () => "", prices)[0].unpriced;
+    if (unpriced) console.log(`\n${C.dim}${unpriced} call(s) used models without a price. Add them under "prices" in ${CONFIG_FILE}.${C.reset}`);
+    if (entries.some(e => e.estimated)) console.log(`${C.dim}Some token counts are estimates — the provider did not report usage.${C.reset}`);
+  }
+
+  const budget = budgetSettings(config);
+  const spent = monthSpend(all, prices);
+  console.log();
+  if (budget) {
+    const line = `This month: $${spent.toFixed(2)} of $${budget.monthly.toFixed(2)} budget (${budget.action === "disable" ? "AI stops" : "warns"} when reached)`;
+    spent >= budget.monthly ? warn(line) : info(line);
+  } else {
+    info(`This month: $${spent.toFixed(2)}. Set a monthly budget with "budget" in ${CONFIG_FILE}.`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Push target — which remote and branch a push goes to
+// ---------------------------------------------------------------------------
+function getRemotes() {
+  const r = git("remote");
+  return r.ok && r.stdout ? r.stdout.split("\n") : [];
+}
+
+// Splits "fork/feature/x" into remote and branch using the known remote
+// names, since both may contain slashes.
+function splitRemoteRef(ref, remotes) {
+  const remote = remotes
+    .filter(rm => ref.startsWith(`${rm}/`))
+    .sort((a, b) => b.length - a.length)[0];
+  return remote ? { remote, branch: ref.slice(remote.length + 1) } : null;
+}
+
+function getUpstream(branch, remotes) {
+  const r = git("rev-parse", "--abbrev-ref", "--symbolic-full-name", `${branch}@{upstream}`);
+  return r.ok ? splitRemoteRef(r.stdout, remotes) : null;
+}
+
+// Where git itself would push (branch.<b>.pushRemote, remote.pushDefault,
+// push.default). Fails when git has no answer, e.g. no upstream yet.
+function getPushRef(branch, remotes) {
+  const r = git("rev-parse", "--abbrev-ref", "--symbolic-full-name", `${branch}@{push}`);
+  return r.ok ? splitRemoteRef(r.stdout, remotes) : null;
+}
+
+// Resolves { remote, branch, dest, upstream }. Order: --remote, git's own
+// push configuration, the tracked upstream, the configured remote, the only
+// remote, then (if allowed) asking which remote to use.
+async function resolvePushTarget(branch, config, opts, ask) {
+  const remotes  = getRemotes();
+  const upstream = getUpstream(branch, remotes);
+  const target   = (remote, dest = branch) => ({ remote, branch, dest, upstream });
+
+  if (opts.remote) {
+    if (!remotes.includes(opts.remote)) return null;
+    const sameRemote = upstream && upstream.remote === opts.remote;
+    const mode = git("config", "push.default").stdout || "simple";
+    return target(opts.remote, sameRemote && ["upstream", "tracking"].includes(mode) ? upstream.branch : branch);
+  }
+
+  const pushRef = getPushRef(branch, remotes);
+  if (pushRef)  return target(pushRef.remote, pushRef.branch);
+  // Triangular setups (push to a fork, track upstream) that @{push} can't
+  // resolve under push.default=simple push by name to the push remote.
+  const pushRemote = git("config", `branch.${branch}.pushRemote`).stdout || git("config", "remote.pushDefault").stdout;
+  if (pushRemote && remotes.includes(pushRemote)) return target(pushRemote);
+  if (upstream) return target(upstream.remote, upstream.branch);
+  if (config.remote && remotes.includes(config.remote)) return target(config.remote);
+  if (remotes.length === 1) return target(remotes[0]);
+  if (!remotes.length) return null;
+
+  const fallback = remotes.includes("origin") ? "origin" : remotes[0];
+  if (!ask) return target(fallback);
+
+  console.log(`\n${C.cyan}Remotes:${C.reset}`);
+  remotes.forEach((rm, i) => console.log(`  ${i + 1}. ${rm}  ${C.dim}${getRemoteUrl(rm)}${C.reset}`));
+  const choice = await prompt(`Push to which remote? (1-${remotes.length}) [${remotes.indexOf(fallback) + 1}]: `);
+  return target(remotes[parseInt(choice, 10) - 1] || fallback);
+}
+
+// Counts commits ahead of / behind the tracked branch (or the push
+// destination when nothing is tracked), after fetching it.
+function aheadBehind(target) {
+  const ref = target.upstream || { remote: target.remote, branch: target.dest };
+  git("fetch", "--quiet", ref.remote, ref.branch);
+  const r = git("rev-list", "--left-right", "--count", `HEAD...${ref.remote}/${ref.branch}`);
+  if (!r.ok) return null;
+  const [ahead, behind] = r.stdout.split(/\s+/).map(Number);
+  return { ahead, behind, ref: `${ref.remote}/${ref.branch}` };
+}
+
+function reportAheadBehind(target) {
+  const ab = aheadBehind(target);
+  if (!ab) { info(`${target.remote}/${target.dest} does not exist yet — it will be created.`); return; }
+  info(`${ab.ahead} ahead, ${ab.behind} behind ${ab.ref}`);
+  if (ab.behind) warn(`${ab.ref} has ${ab.behind} commit(s) you don't have — they will be rebased onto if the push is rejected.`);
+}
+
+// ---------------------------------------------------------------------------
+// Push logic
+// ---------------------------------------------------------------------------
+// ctx: { config, interactive } — lets a failed auto-rebase be resolved
+// interactively instead of leaving the repo mid-rebase.
+async function push(target, ctx = {}) {
+  const { remote, branch, dest } = target;
+  const refspec = branch === dest ? branch : `${branch}:${dest}`;
+  const where   = `${remote}/${dest}`;
+
+  // No upstream yet: push and start tracking. Existing upstreams are left
+  // alone, e.g. pushing to a fork while tracking the main repo.
+  if (!target.upstream) {
+    info(`Pushing to ${where} and setting upstream...`);
+    const r = git("push", "--set-upstream", remote, refspec);
+    if (r.ok) { ok(`Pushed and upstream set for ${where}`); return true; }
+    if (!isRejected(r.stderr)) { err(`Failed to set upstream: ${r.stderr}`); return false; }
+    return rebaseAndPush(target, ctx);
+  }
+
+  info(`Pushing to ${where}...`);
+  const r = git("push", remote, refspec);
+  if (r.ok) { ok(`Pushed to ${where}`); return true; }
+  if (isRejected(r.stderr)) return rebaseAndPush(target, ctx);
+
+  err(`Push failed: ${r.stderr}`); return false;
+}
+
+function isRejected(stderr) {
+  return ["fetch first", "non-fast-forward", "rejected"]
+    .some(k => stderr.toLowerCase().includes(k));
+}
+
+// Rejected — auto rebase onto the remote branch, then push again
+async function rebaseAndPush(target, ctx = {}) {
+  const { remote, branch, dest } = target;
+  const refspec = branch === dest ? branch : `${branch}:${dest}`;
+
+  info("Remote has new commits — rebasing automatically...");
+  const rebase = git("pull", "--rebase", remote, dest);
+  if (!rebase.ok && ctx.interactive && isRebasing()) {
+    warn("Auto-rebase hit conflicts — let's resolve them.");
+    if (!await resolveRebase(ctx.config || {})) return false;
+  } else if (!rebase.ok) {
+    err("Auto-rebase failed — conflicts need manual resolution.");
+    info("Your repo is in rebase state. To resolve:");
+    info("  1. Open conflicted files and fix the markers");
+    info("  2. git add .");
+    info("  3. git rebase --continue");
+    info(`  4. git push ${remote} ${refspec}`);
+    info("  Or to cancel: git rebase --abort");
+    return false;
+  }
+  const r = git("push", remote, refspec);
+  if (r.ok) { ok(`Pushed to ${remote}/${dest} after rebase.`); return true; }
+  err(`Push failed after rebase: ${r.stderr}`); return false;
+}
+
+// ---------------------------------------------------------------------------
+// Conflict resolution — walk through a stopped rebase hunk by hunk
+// ---------------------------------------------------------------------------
+// During a rebase git's "ours" is the remote side being rebased onto and
+// "theirs" is your commit being replayed, so the prompts say remote/local.
+const CONFLICT_HELP =
+  "l=local (yours) · r=remote · b=both · a=AI merge · e=edit file · s=skip file · q=abort rebase";
+
+function isRebasing() {
+  return ["rebase-merge", "rebase-apply"]
+    .some(d => fs.existsSync(gitPath(d)));
+}
+
+function conflictedFiles() {
+  const r = git("diff", "--name-only", "--diff-filter=U");
+  return r.ok && r.stdout ? r.stdout.split("\n") : [];
+}
+
+// Splits a file into plain text and conflict blocks (diff3 base included
+// when present). An unterminated block is kept as plain text.
+function parseConflicts(text) {
+  const lines = text.split("\n");
+  const parts = [];
+  let plain = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith("<<<<<<<")) { plain.push(lines[i]); continue; }
+
+    const block = { remote: [], base: null, local: [], remoteLabel: lines[i].slice(8), localLabel: "" };
+    let side = "remote";
+    let j = i + 1;
+    for (; j < lines.length; j++) {
+      const l = lines[j];
+      if (l.startsWith("|||||||") && side === "remote") { side = "base"; block.base = []; }
+      else if (l === "=======" && side !== "local") side = "local";
+      else if (l.startsWith(">>>>>>>") && side === "local") { block.localLabel = l.slice(8); break; }
+      else block[side].push(l);
+    }
+    if (j >= lines.length) { plain.push(...lines.slice(i)); break; }
+    if (plain.length) parts.push({ text: plain });
+    plain = [];
+    parts.push({ conflict: block });
+    i = j;
+  }
+  if (plain.length || !parts.length) parts.push({ text: plain });
+  return parts;
+}
+
+function renderResolved(parts) {
+  return parts.map(p => (p.text || p.resolved).join("\n")).join("\n");
+}
+
+function resolveBlock(block, choice) {
+  if (choice === "l") return block.local;
+  if (choice === "r") return block.remote;
+  if (choice === "b") return [...block.remote, ...block.local];
+  return null;
+}
+
+function showConflict(file, block, n, total) {
+  console.log(`\n${C.bold}${file}${C.reset}  ${C.dim}conflict ${n}/${total}${C.reset}`);
+  console.log(`${C.cyan}── remote ${block.remoteLabel}${C.reset}`);
+  block.remote.forEach(l => console.log(`${C.cyan}  ${l}${C.reset}`));
+  console.log(`${C.green}── local ${block.localLabel}${C.reset}`);
+  block.local.forEach(l => console.log(`${C.green}  ${l}${C.reset}`));
+}
+
+function conflictPrompt(file, block, before, after) {
+  return (
+    `Resolve this git conflict in ${file}. REMOTE is already on the server; LOCAL is ` +
+    "the change being rebased onto it. Combine them so both intentions survive. " +
+    "Reply with the resolved lines only — no conflict markers, no code fences, no commentary.\n\n" +
+    `Context before:\n${before.join("\n")}\n\n` +
+    `REMOTE:\n${block.remote.join("\n")}\n\n` +
+    (block.base ? `Common ancestor:\n${block.base.join("\n")}\n\n` : "") +
+    `LOCAL:\n${block.local.join("\n")}\n\n` +
+    `Context after:\n${after.join("\n")}`
+  );
+}
+
+// Returns the AI's merged lines, or null when AI can't or shouldn't be used.
+async function aiMergeBlock(config, file, parts, index) {
+  const block = parts[index].conflict;
+  if (!isAiConfigured(config)) { warn("AI not configured — run: gtxr setup"); return null; }
+  const rules = loadAiIgnore(getRepoRoot(), config);
+  if (isAiIgnored(file, rules)) { warn(`${file} is in ${AI_IGNORE_FILE} — not sent to AI.`); return null; }
+  if ([...block.remote, ...block.local].some(l => scanLine(l))) { warn("The conflict looks like it contains a secret — not sent to AI."); return null; }
+
+  const redact = (lines) => lines && lines.map(l => redactText(l, rules));
+  const around = (p) => (p && p.text) || [];
+  const sent = { remote: redact(block.remote), local: redact(block.local), base: redact(block.base) };
+  try {
+    info(`Asking ${config.provider} for a merge...`);
+    const reply = await callAI(config,
+      conflictPrompt(file, sent, redact(around(parts[index - 1]).slice(-10)), redact(around(parts[index + 1]).slice(0, 10))), 1000);
+    return reply.replace(/^```\w*\n?|\n?```\s*$/g, "").split("\n");
+  } catch (e) {
+    handleAiError(config, e);
+    return null;
+  }
+}
+
+// Resolves one file. Returns "done", "skip" or "abort".
+async function resolveFile(config, file) {
+  const full = path.join(getRepoRoot(), file);
+  let text;
+  try { text = fs.readFileSync(full, "utf8"); } catch (_) { text = null; }
+  const parts = text === null ? [] : parseConflicts(text);
+  const blocks = parts.filter(p => p.conflict);
+
+  // Binary files, delete/modify conflicts: pick a whole side.
+  if (!blocks.length) {
+    console.log(`\n${C.bold}${file}${C.reset}  ${C.dim}no conflict markers (binary or deleted on one side)${C.reset}`);
+    while (true) {
+      const c = (await prompt("Keep l=local / r=remote / s=skip / q=abort: ")).toLowerCase();
+      if (c === "q") return "abort";
+      if (c === "s") return "skip";
+      if (c !== "l" && c !== "r") continue;
+      const r = git("checkout", c === "l" ? "--theirs" : "--ours", "--", file);
+      const staged = r.ok ? git("add", "--", file) : git("rm", "-q", "--", file);
+      if (staged.ok) { ok(`Resolved ${file}`); return "done"; }
+      err(`Could not resolve ${file}: ${staged.stderr}`);
+    }
+  }
+
+  console.log(`${C.dim}${CONFLICT_HELP}${C.reset}`);
+  for (const [n, part] of blocks.entries()) {
+    const index = parts.indexOf(part);
+    showConflict(file, part.conflict, n + 1, blocks.length);
+    while (!part.resolved) {
+      const c = (await prompt("Resolve with (l/r/b/a/e/s/q): ")).toLowerCase();
+      if (c === "q") return "abort";
+      if (c === "s") return "skip";
+      if (c === "e") {
+        const editor = git("var", "GIT_EDITOR").stdout || process.env.VISUAL || process.env.EDITOR || "vi";
+        spawnSync(`${editor} "${full}"`, { shell: true, stdio: "inherit" });
+        const edited = fs.readFileSync(full, "utf8");
+        if (/^(<<<<<<<|>>>>>>>)/m.test(edited)) { warn("Conflict markers are still there."); return resolveFile(config, file); }
+        return git("add", "--", file).ok ? (ok(`Resolved ${file}`), "done") : "skip";
+      }
+      if (c === "a") {
+        const merged = await aiMergeBlock(config, file, parts, index);
+        if (!merged) continue;
+        console.log(`${C.yellow}── AI merge${C.reset}`);
+        merged.forEach(l => console.log(`${C.yellow}  ${l}${C.reset}`));
+        if ((await prompt("Use this? (y/n) [y]: ") || "y").toLowerCase() === "y") part.resolved = merged;
+        continue;
+      }
+      part.resolved = resolveBlock(part.conflict, c);
+    }
+  }
+
+  fs.writeFileSync(full, renderResolved(parts));
+  const add = git("add", "--", file);
+  if (!add.ok) { err(`Could not stage ${file}: ${add.stderr}`); return "skip"; }
+  ok(`Resolved ${file}`);
+  return "done";
+}
+
+// The editor is never opened for the replayed commit messages.
+function continueRebase(...args) {
+  const r = runtime.git(["rebase", ...args], { env: { ...process.env, GIT_EDITOR: "true" } });
+  return { ok: r.status === 0, output: `${r.stdout || ""}${r.stderr || ""}`.trim() };
+}
+
+function abortRebase() {
+  const r = git("rebase", "--abort");
+  if (r.ok) ok("Rebase aborted — your branch is back where it was before the pull.");
+  else err(`Could not abort the rebase: ${r.stderr}`);
+  return false;
+}
+
+// Walks every stopped commit of the rebase. Returns true once the rebase has
+// finished, false if it was aborted or left for manual resolution.
+async function resolveRebase(config) {
+  while (isRebasing()) {
+    const subject = git("log", "-1", "--format=%h %s", "REBASE_HEAD").stdout;
+    if (subject) info(`Replaying ${subject}`);
+
+    const files = conflictedFiles();
+    if (files.length) {
+      console.log(`\n${C.cyan}Conflicted files:${C.reset}\n${files.map(f => `  ${f}`).join("\n")}`);
+      let skipped = false;
+      for (const file of files) {
+        const result = await resolveFile(config, file);
+        if (result === "abort") return abortRebase();
+        if (result === "skip") skipped = true;
+      }
+      if (skipped) {
+        warn("Some files are still conflicted. Fix them, then run:");
+        info("  git add <files> && git rebase --continue  — then push again");
+        info("  Or to cancel: git rebase --abort");
+        return false;
+      }
+    }
+
+    const r = continueRebase("--continue");
+    if (r.ok) continue;
+    if (conflictedFiles().length) continue;
+    if (/nothing to commit|no changes/i.test(r.output)) {
+      info("The commit is empty after resolving — skipping it.");
+      if (continueRebase("--skip").ok || conflictedFiles().length) continue;
+    }
+    err(`git rebase --continue failed: ${r.output}`);
+    return false;
+  }
+  ok("Rebase complete.");
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Force push — leased on the last fetched ref, never onto protected branches
+// ---------------------------------------------------------------------------
+// What we last fetched of the remote branch, or "" if we never saw it. This
+// is deliberately not refreshed: the lease must match what the user reviewed.
+function remoteRefSha(remote, branch) {
+  const r = git("rev-parse", "--verify", "--quiet", `refs/remotes/${remote}/${branch}`);
+  return r.ok ? r.stdout : "";
+}
+
+// Remote commits that are not in HEAD — the ones a force push throws away.
+function discardedCommits(target) {
+  const r = git("log", "--oneline", "--no-decorate", `HEAD..refs/remotes/${target.remote}/${target.dest}`);
+  return r.ok && r.stdout ? r.stdout.split("\n") : [];
+}
+
+// An empty expected value means "only if the branch does not exist yet".
+function leaseFlag(dest, expected) {
+  return `--force-with-lease=refs/heads/${dest}:${expected}`;
+}
+
+async function forcePush(target, config, opts) {
+  const { remote, branch, dest } = target;
+  const refspec = branch === dest ? branch : `${branch}:${dest}`;
+  const where   = `${remote}/${dest}`;
+
+  if (isProtectedBranch(dest, config)) {
+    err(`Refusing to force push to protected branch '${dest}'.`);
+    return false;
+  }
+
+  const expected = remoteRefSha(remote, dest);
+  const lost     = expected ? discardedCommits(target) : [];
+  if (!expected) info(`${where} was never fetched — the push only succeeds if it does not exist.`);
+  else if (!lost.length) info(`No commits on ${where} will be discarded.`);
+  else {
+    warn(`Force pushing discards ${lost.length} commit(s) from ${where}:`);
+    lost.forEach(line => console.log(`  ${C.red}${line}${C.reset}`));
+  }
+
+  if (!opts.yes) {
+    if (!opts.interactive) { err("Force push needs confirmation — rerun in a terminal or pass --yes."); return false; }
+    const typed = await prompt(`Type the branch name (${dest}) to force push: `);
+    if (typed !== dest) { warn("Force push cancelled."); return false; }
+  }
+
+  const r = git("push", leaseFlag(dest, expected), remote, refspec);
+  if (r.ok) { ok(`Force-pushed to ${where}`); return true; }
+  if (r.stderr.includes("stale info")) {
+    err(`${where} changed since it was last fetched — nothing was overwritten.`);
+    info(`Review it with: git fetch ${remote} && git log HEAD..${where}`);
+    return false;
+  }
+  err(`Force push failed: ${r.stderr}`); return false;
+}
+
+// ---------------------------------------------------------------------------
+// File picker — toggle files, filter by glob, optional hunk staging
+// ---------------------------------------------------------------------------
+const PICKER_HELP =
+  "↑/↓ move · space toggle · p hunks · a all · n none · / filter · enter stage · q cancel";
+
+function pickerVisible(state) {
+  if (!state.filter) return state.entries.map((_, i) => i);
+  const re = globToRegExp(state.filter);
+  return state.entries.map((e, i) => i).filter(i => re.test(state.entries[i].path));
+}
+
+// Pure key handler: returns the next picker state. state.done is set to
+// "stage" or "cancel" when the picker should close.
+function pickerKey(state, str, key = {}) {
+  const next = { ...state, selected: new Set(state.selected), patch: new Set(state.patch) };
+  const visible = pickerVisible(state);
+  const current = visible[state.cursor];
+
+  if (state.typing) {
+    if (key.name === "return")      next.typing = false;
+    else if (key.name === "escape") { next.typing = false; next.filter = ""; }
+    else if (key.name === "backspace") next.filter = state.filter.slice(0, -1);
+    else if (str && !key.ctrl && str >= " ") next.filter = state.filter + str;
+    next.cursor = 0;
+    return next;
+  }
+
+  switch (key.name || str) {
+    case "up": case "k":   next.cursor = Math.max(0, state.cursor - 1); break;
+    case "down": case "j": next.cursor = Math.min(visible.length - 1, state.cursor + 1); break;
+    case "space":
+      if (current === undefined) break;
+      if (next.selected.has(current)) { next.selected.delete(current); next.patch.delete(current); }
+      else next.selected.add(current);
+      break;
+    case "p":
+      if (current === undefined || state.entries[current].status === "??") break;
+      if (next.patch.has(current)) next.patch.delete(current);
+      else { next.patch.add(current); next.selected.add(current); }
+      break;
+    case "a": visible.forEach(i => next.selected.add(i)); break;
+    case "n": visible.forEach(i => { next.selected.delete(i); next.patch.delete(i); }); break;
+    case "/": next.typing = true; break;
+    case "return": next.done = "stage"; break;
+    case "q": case "escape": next.done = "cancel"; break;
+  }
+  if (key.ctrl && key.name === "c") next.done = "cancel";
+  return next;
+}
+
+function renderPicker(state, previousLines) {
+  const visible = pickerVisible(state);
+  const height  = Math.max(5, (process.stdout.rows || 24) - 4);
+  const top     = Math.min(Math.max(0, state.cursor - height + 1), Math.max(0, visible.length - height));
+
+  const lines = [`${C.dim}${PICKER_HELP}${C.reset}`];
+  lines.push(state.typing || state.filter
+    ? `${C.cyan}Filter: ${state.filter}${state.typing ? "█" : ""}${C.reset}`
+    : `${C.dim}${state.selected.size} of ${state.entries.length} selected${C.reset}`);
+  visible.slice(top, top + height).forEach((i, row) => {
+    const e = state.entries[i];
+    const box = state.patch.has(i) ? "[p]" : state.selected.has(i) ? "[x]" : "[ ]";
+    const pointer = top + row === state.cursor ? `${C.cyan}>` : " ";
+    lines.push(`${pointer} ${box} ${e.status} ${e.path}${C.reset}`);
+  });
+  if (!visible.length) lines.push(`${C.dim}  (no files match)${C.reset}`);
+
+  if (previousLines) process.stdout.write(`\x1b[${previousLines}A\x1b[J`);
+  process.stdout.write(lines.join("\n") + "\n");
+  return lines.length;
+}
+
+// Resolves to { files, patch } (paths to stage whole / by hunk), or null
+// when cancelled.
+function pickFiles(entries) {
+  return new Promise((resolve) => {
+    let state = { entries, cursor: 0, selected: new Set(), patch: new Set(), filter: "", typing: false };
+    let drawn = renderPicker(state, 0);
+
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+
+    const onKey = (str, key) => {
+      state = pickerKey(state, str, key);
+      drawn = renderPicker(state, drawn);
+      if (!state.done) return;
+
+      process.stdin.removeListener("keypress", onKey);
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      if (state.done === "cancel") return resolve(null);
+      const pick = (set) => [...set].sort((a, b) => a - b).map(i => entries[i].path);
+      resolve({
+        files: pick(new Set([...state.selected].filter(i => !state.patch.has(i)))),
+        patch: pick(state.patch),
+      });
+    };
+    process.stdin.on("keypress", onKey);
+  });
+}
+
+// Stages picked files; files marked for hunks go through `git add -p`.
+function stagePicked({ files, patch }) {
+  if (files.length) {
+    const r = git("add", "--", ...files);
+    if (!r.ok) { err(`Failed to stage files: ${r.stderr}`); return false; }
+  }
+  if (patch.length) {
+    const r = spawnSync("git", ["add", "-p", "--", ...patch], { stdio: "inherit" });
+    if (r.status !== 0) { err("Hunk staging failed."); return false; }
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Branch switching
+// ---------------------------------------------------------------------------
+// Branch patterns are globs anchored at the start: "release/*" matches
+// release/1.2 but not hotfix/release/1.2.
+function isProtectedBranch(branch, config) {
+  return (config.protectedBranches || []).some(p => globToRegExp(`/${p}`).test(branch));
+}
+
+function switchBranch(name) {
+  let r = git("checkout", name);
+  if (r.ok) { ok(`Switched to branch: ${name}`); return name; }
+
+  info(`Branch '${name}' not found — creating it...`);
+  r = git("checkout", "-b", name);
+  if (r.ok) { ok(`Created and switched to: ${name}`); return name; }
+
+  err(`Could not switch/create branch '${name}': ${r.stderr}`);
+  return getCurrentBranch();
+}
+
+// ---------------------------------------------------------------------------
+// Branch guard — move work off protected branches before committing
+// ---------------------------------------------------------------------------
+const DEFAULT_BRANCH_PATTERN = "<type>/<ticket>-<slug>";
+const BRANCH_TYPES = ["feat", "fix", "refactor", "perf", "docs", "test", "build", "ci", "chore"];
+
+function slugify(text, max = 40) {
+  return text.toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, max)
+    .replace(/-+$/, "");
+}
+
+// Fills <type>, <ticket> and <slug> in the pattern. Without a ticket the
+// placeholder is dropped along with its separator: feat/<ticket>-<slug>
+// becomes feat/<slug>.
+function branchFromPattern(pattern, { type, ticket, slug }) {
+  let name = pattern;
+  if (!ticket) name = name.replace(/<ticket>[-_]?|[-_]?<ticket>/g, "");
+  return name
+    .replace(/<type>/g, type || "feat")
+    .replace(/<ticket>/g, ticket || "")
+    .replace(/<slug>/g, slug || "changes")
+    .replace(/\/{2,}/g, "/")
+    .replace(/^\/|\/$/g, "");
+}
+
+// "fix: login timeout" / "fix login-timeout" → { type, slug }
+function parseBranchSuggestion(text) {
+  const words = (text || "").trim().split("\n")[0].split(/[\s:/]+/).filter(Boolean);
+  const type  = BRANCH_TYPES.includes((words[0] || "").toLowerCase()) ? words.shift().toLowerCase() : null;
+  const slug  = slugify(words.join("-"));
+  return slug ? { type, slug } : null;
+}
+
+function heuristicBranchParts(files) {
+  const scope = inferScope(files);
+  const base  = files.length ? path.basename(files[0]).replace(/\.[^.]*$/, "") : "";
+  return { type: inferType(files) || "feat", slug: slugify(scope || base) };
+}
+
+// The AI sees the staged diff as condensed for commit messages: .gtxrignore,
+// redaction and the diff budget all apply.
+async function suggestBranchParts(config, opts, context = null) {
+  const rules = loadAiIgnore(getRepoRoot(), config);
+  const files = getStagedFiles().filter(f => !isAiIgnored(f, rules));
+  const fallback = heuristicBranchParts(files);
+  const diff = getDiff();
+  if (opts.noAi || !isAiConfigured(config) || !files.length || !diff) return fallback;
+
+  try {
+    info(`Suggesting a branch name via ${config.provider}...`);
+    const reply = await callAI(config,
+      "Suggest a git branch name for the change below. Reply with one " +
+      `line: a type (one of ${BRANCH_TYPES.join(", ")}), a space, then 2-5 lowercase ` +
+      "words joined by hyphens describing what the change does. Nothing else.\n\n" +
+      await (context || condensedContext(config, diff))(),
+      30
+    );
+    const parsed = parseBranchSuggestion(reply);
+    if (parsed) return { type: parsed.type || fallback.type, slug: parsed.slug };
+  } catch (e) {
+    warn(`Could not suggest a branch name: ${e.message}`);
+  }
+  return fallback;
+}
+
+// Returns the branch to commit on: the current one, or a new branch the
+// staged work was moved to.
+async function guardProtectedBranch(branch, config, opts, context) {
+  if (!isProtectedBranch(branch, config)) return branch;
+  if (!opts.interactive) {
+    warn(`'${branch}' is a protected branch — committing to it directly.`);
+    return branch;
+  }
+
+  warn(`'${branch}' is a protected branch.`);
+  const move = (await prompt("Move these changes to a new branch? (y/n) [y]: ") || "y").toLowerCase();
+  if (move !== "y") { warn(`Committing to '${branch}' directly.`); return branch; }
+
+  const pattern = config.branchPattern || DEFAULT_BRANCH_PATTERN;
+  const ticket  = pattern.includes("<ticket>") ? await prompt("Ticket (optional): ") : "";
+  const suggested = branchFromPattern(pattern, { ...await suggestBranchParts(config, opts, context), ticket });
+
+  while (true) {
+    const name = await prompt(`Branch name [${suggested}]: `) || suggested;
+    if (!git("check-ref-format", "--branch", name).ok) { err(`'${name}' is not a valid branch name.`); continue; }
+    if (isProtectedBranch(name, config)) { err(`'${name}' is protected too — pick another name.`); continue; }
+    return switchBranch(name);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// First-run welcome
+// ---------------------------------------------------------------------------
+function firstRunCheck() {
+  if (fs.existsSync(WELCOME_MARKER)) return;
+  console.log(`
+${C.green}${C.bold}  ╔══════════════════════════════════════╗${C.reset}
+${C.green}${C.bold}  ║     GTXR is ready to use!         ║${C.reset}
+${C.green}${C.bold}  ╚══════════════════════════════════════╝${C.reset}
+
+${C.cyan}  Available commands:${C.reset}
+  ${C.bold}gtxr${C.reset}                Run full workflow  (add → commit → push)
+  ${C.bold}gtxr setup${C.reset}          Configure AI provider and API key
+  ${C.bold}gtxr upgrade${C.reset}        Upgrade to the latest version
+  ${C.bold}gtxr uninstall${C.reset}      Remove GitAuto from your system
+  ${C.bold}gtxr split${C.reset}          Split changes into several commits
+  ${C.bold}gtxr pr${C.reset}             Open a pull request for this branch
+  ${C.bold}gtxr changelog${C.reset}      Update CHANGELOG.md from commit history
+  ${C.bold}gtxr hook install${C.reset}   AI messages for plain git commit
+  ${C.bold}gtxr undo${C.reset}           Reverse the last gtxr operation
+  ${C.bold}gtxr stats${C.reset}          AI usage and estimated cost
+  ${C.bold}gtxr --no-push${C.reset}      Commit only, skip push
+  ${C.bold}gtxr --no-ai${C.reset}        Skip AI, type message manually
+  ${C.bold}gtxr --force-push${C.reset}   Force push ${C.dim}(destructive)${C.reset}
+  ${C.bold}gtxr --conventional${C.reset} Conventional Commits message format
+  ${C.bold}gtxr --body${C.reset}         Subject plus explanatory body
+  ${C.bold}gtxr --branch <n>${C.reset}   Switch or create branch before committing
+  ${C.bold}gtxr --help${C.reset}         Show all commands and options
+
+${C.yellow}  Get started:  gtxr setup${C.reset}
+`);
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(WELCOME_MARKER, "");
+}
+
+// ---------------------------------------------------------------------------
+// Help
+// ---------------------------------------------------------------------------
+function printHelp() {
+  console.log(`
+${C.purple}${C.bold}  ╔══════════════════════════════════════╗${C.reset}
+${C.purple}${C.bold}  ║    GTXR — AI Git Automation       ║${C.reset}
+${C.purple}${C.bold}  ╚══════════════════════════════════════╝${C.reset}
+
+${C.cyan}  Commands:${C.reset}
+  gtxr                  Run full workflow  (add → commit → push)
+  gtxr setup            Configure AI provider and API key
+  gtxr upgrade          Upgrade to latest version
+  gtxr uninstall        Remove GitAuto from your system
+  gtxr split            Split pending changes into several AI-planned commits
+  gtxr pr               Write and open a GitHub pull request for this branch
+  gtxr changelog        Add a CHANGELOG.md section  (range: from..to, default last tag..HEAD)
+  gtxr hook install     Fill in messages for plain git commit and IDEs  (uninstall to remove)
+  gtxr undo             Reverse the last gtxr commit, staging and branch switch
+  gtxr stats            AI calls, tokens and estimated cost  (--days <n>, default 30)
+
+${C.cyan}  Options:${C.reset}
+  --no-push                Commit only, skip push
+  --push                   Push without asking
+  -a, --all                Stage everything without asking
+  -p, --pick               Pick files (and hunks) to stage interactively
+  --add <pathspec...>      Stage these paths without asking
+  -m, --message <msg>      Use this commit message  (skips AI)
+  -y, --yes                Accept every default, never prompt
+  --allow-secrets          Commit even if the secret scanner finds something
+  --no-ai                  Skip AI, enter message manually
+  --force-push             Force push with lease  (never to protected branches)
+  --remote <name>          Push to this remote instead of the tracked one
+  --conventional           Use Conventional Commits  (type(scope): subject)
+  --body                   Add an explanatory body to the message
+  --trailer <Key: value>   Append a trailer, e.g. 'Refs: #42'  (repeatable)
+  --model <id>             Use this model for the configured provider
+  --branch, -b <name>      Switch or create branch before committing
+  --base <branch>          Pull request base branch  (pr)
+  --draft                  Open the pull request as a draft  (pr)
+  --tag <version>          Release as <version> and create the tag  (changelog)
+  --notes                  Rewrite entries as release notes with AI  (changelog)
+  --dry-run                Print the section without writing  (changelog)
+  -v, --version            Print current version
+  -h, --help               Show this message
+
+${C.cyan}  Examples:${C.reset}
+  gtxr                          Full AI-powered workflow
+  gtxr --no-push                Commit only
+  gtxr --branch feature/login   Switch branch then commit and push
+  gtxr --no-ai                  Manual commit message
+  gtxr -y -a -m "Fix typo"      Non-interactive, e.g. in CI
+
+${C.cyan}  Exit codes:${C.reset}
+  0 success   1 error   2 nothing to commit   3 AI failed
+  4 commit failed   5 push failed   6 possible secrets found
+
+${C.yellow}  First time? Run: gtxr setup${C.reset}
+`);
+}
+
+// ---------------------------------------------------------------------------
+// Upgrade
+// ---------------------------------------------------------------------------
+async function cmdUpgrade() {
+  info("Checking for latest version...");
+  try {
+    const https = require("https");
+    const latest = await new Promise((resolve, reject) => {
+      https.get(
+        "https://registry.npmjs.org/gtxr/latest",
+        { headers: { "User-Agent": "gtxr" } },
+        (res) => {
+          let data = "";
+          res.on("data", chunk => data += chunk);
+          res.on("end", () => {
+            try { resolve(JSON.parse(data).version); } catch (e) { reject(e); }
+          });
+        }
+      ).on("error", reject);
+    });
+
+    if (latest === VERSION) {
+      ok(`Already up to date (v${VERSION}).`);
+      return;
+    }
+
+    info(`Upgrading v${VERSION} → v${latest}...`);
+    const r = spawnSync("npm", ["install", "-g", "gtxr"], {
+      encoding: "utf8",
+      stdio: "inherit",
+    });
+    if (r.status === 0) {
+      ok(`Upgraded to v${latest} successfully.`);
+    } else {
+      err("Upgrade failed. Try manually: npm install -g gitauto");
+    }
+  } catch (e) {
+    err(`Upgrade failed: ${e.message}`);
+    info("Try manually: npm install -g gitauto");
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Uninstall
+// ---------------------------------------------------------------------------
+async function cmdUninstall(opts) {
+  warn("This will remove GitAuto and all its data.");
+  const confirm = opts.yes ? "y" : await prompt("Are you sure? (y/N): ");
+  if (confirm.toLowerCase() !== "y") {
+    info("Uninstall cancelled.");
+    return;
+  }
+
+  // Remove config directory
+  if (fs.existsSync(CONFIG_DIR)) {
+    fs.rmSync(CONFIG_DIR, { recursive: true, force: true });
+    ok(`Removed config: ${CONFIG_DIR}`);
+  }
+
+  // npm uninstall
+  info("Running: npm uninstall -g gitauto");
+  const r = spawnSync("npm", ["uninstall", "-g", "gtxr"], {
+    encoding: "utf8",
+    stdio: "inherit",
+  });
+  if (r.status === 0) {
+    ok("GTXR uninstalled successfully.");
+  } else {
+    err("npm uninstall failed. Try: npm uninstall -g gitauto");
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Setup
+// ---------------------------------------------------------------------------
+async function promptAiSettings(config) {
+  const s = { ...(config.providers || {})[config.provider] };
+  const d = aiSettings(config);
+  const num = async (label, current) => {
+    const v = await prompt(`${label}${current !== undefined ? ` [${current}]` : " (Enter for default)"}: `);
+    return v === "" ? current : Number(v);
+  };
+
+  s.model       = await prompt(`Model [${d.model}]: `) || s.model;
+  s.maxTokens   = await num("Max tokens", s.maxTokens);
+  s.temperature = await num("Temperature 0-2", s.temperature);
+  s.timeout     = await num("Request timeout in seconds", s.timeout);
+  s.retries     = await num("Retries on rate limits and network errors", s.retries);
+
+  const next = { ...config, providers: { ...config.providers, [config.provider]: s } };
+  const problems = validateAiSettings(aiSettings(next));
+  if (problems.length) {
+    problems.forEach(p => err(p));
+    warn("Advanced settings not saved.");
+    return config;
+  }
+  return next;
+}
+
+// Asks where a provider's key should come from. Returns the fields to store
+// ({ apiKey } or { apiKeyCommand }, or {} when the environment provides it),
+// or null when nothing usable was given.
+async function promptKeySource(provider, optional) {
+  const envName = PROVIDER_KEY_ENV[provider] || "GTXR_API_KEY";
+  console.log(`\n  Where should gtxr get the ${provider} API key?`);
+  console.log(`    1. Save it in ${CONFIG_FILE}`);
+  console.log("    2. Save it there, encrypted with a passphrase");
+  console.log(`    3. Read ${envName} from the environment`);
+  console.log("    4. Run a command, e.g. your password manager's CLI");
+  const choice = await prompt("Choice [1]: ") || "1";
+
+  if (choice === "3") {
+    if (process.env[envName]) ok(`Using ${envName}.`);
+    else warn(`${envName} is not set in this shell — export it before running gtxr.`);
+    return {};
+  }
+  if (choice === "4") {
+    const command = await prompt("Command that prints the key (e.g. op read op://Private/OpenAI/credential): ");
+    if (!command) return null;
+    try { runKeyCommand(command); } catch (e) { err(e.message); return null; }
+    ok("The command printed a key.");
+    return { apiKeyCommand: command };
+  }
+  if (choice !== "1" && choice !== "2") {
+    warn(`Unrecognised choice '${choice}'.`);
+    return null;
+  }
+
+  const key = await promptHidden(`API key for ${provider}${optional ? " (optional, Enter to skip)" : ""}: `);
+  if (!key) return optional ? {} : null;
+  if (choice === "1") return { apiKey: key };
+  const secret = await promptHidden("Passphrase: ");
+  if (!secret || secret !== await promptHidden("Repeat passphrase: ")) {
+    warn("Passphrase empty or not repeated correctly.");
+    return null;
+  }
+  return { apiKey: encryptSecret(key, secret) };
+}
+
+// Stores key fields under providers[<provider>], replacing earlier ones.
+// Keys used to live at the top level for the main provider; they move under
+// that provider first, so switching providers keeps them.
+function setProviderKey(config, provider, key) {
+  const providers = { ...config.providers };
+  if (config.provider && (config.apiKey || config.apiKeyCommand)) {
+    const old = { ...providers[config.provider] };
+    if (!old.apiKey && !old.apiKeyCommand) {
+      if (config.apiKey) old.apiKey = config.apiKey;
+      if (config.apiKeyCommand) old.apiKeyCommand = config.apiKeyCommand;
+      providers[config.provider] = old;
+    }
+  }
+  const { apiKey, apiKeyCommand, ...rest } = providers[provider] || {};
+  providers[provider] = { ...rest, ...key };
+  const { apiKey: _key, apiKeyCommand: _command, ...next } = config;
+  return { ...next, provider, providers };
+}
+
+async function cmdSetup() {
+  header("GTXR Setup");
+  let config = loadConfig();
+  const providerInput = await prompt(`Provider (${PROVIDERS.join("/")}): `);
+  const provider = providerInput.toLowerCase();
+  let configured = false;
+  if (!PROVIDERS.includes(provider)) {
+    warn("Unrecognised provider. Skipped.");
+  } else if (provider === "custom") {
+    const baseUrl = await prompt(`Base URL [${config.baseUrl || "http://localhost:11434/v1"}]: `)
+      || config.baseUrl || "http://localhost:11434/v1";
+    const current = ((config.providers || {}).custom || {}).model;
+    const model = await prompt(`Model${current ? ` [${current}]` : ""}: `) || current;
+    if (!/^https?:\/\//.test(baseUrl)) {
+      warn("Base URL must start with http:// or https://. Skipped.");
+    } else if (!model) {
+      warn("No model entered. Skipped.");
+    } else {
+      const key = await promptKeySource(provider, true);
+      if (key) {
+        config = withModel({ ...setProviderKey(config, provider, key), baseUrl }, model);
+        config.providers.custom.baseUrl = baseUrl;
+        ok(`custom provider configured: ${model} at ${baseUrl}`);
+        configured = true;
+      } else {
+        warn("Skipped.");
+      }
+    }
+  } else {
+    const key = await promptKeySource(provider, false);
+    if (key) {
+      config = setProviderKey(config, provider, key);
+      ok(`${provider} configured successfully.`);
+      configured = true;
+    } else {
+      warn("No API key set. Skipped.");
+    }
+  }
+
+  if (configured && (await prompt("Change model, max tokens, temperature, timeout or retries? (y/N): ")).toLowerCase() === "y") {
+    config = await promptAiSettings(config);
+  }
+
+  if (config.provider) {
+    const others = PROVIDERS.filter(p => p !== config.provider && isAiConfigured(providerConfig(config, p)));
+    if (others.length) {
+      const current = (config.fallback || []).join(",");
+      const input = await prompt(`Fallback providers, in order (${others.join("/")}, comma-separated, - for none)${current ? ` [${current}]` : ""}: `);
+      if (input === "-") delete config.fallback;
+      else if (input) {
+        const fallback = input.split(",").map(p => p.trim().toLowerCase()).filter(Boolean);
+        const unknown = fallback.filter(p => !others.includes(p));
+        if (unknown.length) warn(`Not configured: ${unknown.join(", ")} — fallback unchanged.`);
+        else config.fallback = fallback;
+      }
+    }
+  }
+
+  const current = config.commitStyle || "plain";
+  const style = (await prompt(`Commit style (plain/conventional) [${current}]: `)).toLowerCase() || current;
+  if (["plain", "conventional"].includes(style)) {
+    config.commitStyle = style;
+  } else {
+    warn(`Unrecognised commit style '${style}' — keeping ${current}.`);
+  }
+
+  const bodyDefault = config.commitBody ? "y" : "n";
+  const body = (await prompt(`Add an explanatory body to AI messages? (y/n) [${bodyDefault}]: `)).toLowerCase() || bodyDefault;
+  config.commitBody = body === "y";
+
+  saveConfig(config);
+}
+
+// ---------------------------------------------------------------------------
+// Conventional Commits
+// ---------------------------------------------------------------------------
+const CONVENTIONAL_TYPES = [
+  "feat", "fix", "refactor", "perf", "docs", "test",
+  "build", "ci", "style", "chore", "revert",
+];
+
+// type(scope)!: subject
+const CONVENTIONAL_HEADER = /^([a-z]+)(?:\(([^()\s]+)\))?(!)?: (\S.*)$/;
+const BREAKING_FOOTER     = /^BREAKING[ -]CHANGE: \S/;
+
+// Directories too generic to be useful as a scope.
+const GENERIC_DIRS = new Set(["src", "lib", "bin", "app", "packages", "pkg", "source"]);
+
+function validateConventional(message) {
+  const lines = message.split("\n");
+  const m = CONVENTIONAL_HEADER.exec(lines[0]);
+  if (!m) return ["Header must match: type(scope): subject  (scope and ! are optional)"];
+
+  const problems = [];
+  if (!CONVENTIONAL_TYPES.includes(m[1]))
+    problems.push(`Unknown type '${m[1]}' — use one of: ${CONVENTIONAL_TYPES.join(", ")}`);
+  if (lines.length > 1 && lines[1].trim() !== "")
+    problems.push("Header must be followed by a blank line before the body.");
+  for (const line of lines.slice(1)) {
+    if (/^BREAKING[ -]CHANGE/i.test(line) && !BREAKING_FOOTER.test(line))
+      problems.push("Breaking change footer must read: BREAKING CHANGE: <description>");
+  }
+  return problems;
+}
+
+function inferScope(files) {
+  if (!files.length) return null;
+  const dirs = files.map(f => f.split("/").slice(0, -1));
+  const common = [];
+  for (let i = 0; dirs.every(d => i < d.length && d[i] === dirs[0][i]); i++) {
+    common.push(dirs[0][i]);
+  }
+  const specific = common.filter(d => !GENERIC_DIRS.has(d));
+  return specific.length ? specific[specific.length - 1] : null;
+}
+
+function inferType(files) {
+  if (!files.length) return null;
+  const all = (re) => files.every(f => re.test(f));
+  if (all(/(^|\/)(docs?\/|README|CHANGELOG)|\.mdx?$/i))              return "docs";
+  if (all(/(^|\/)(tests?|__tests__|spec)\/|[._-](test|spec)\.[^/]+$/)) return "test";
+  if (all(/^\.(github|gitlab-ci|circleci)/))                         return "ci";
+  if (all(/(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml)$/)) return "build";
+  return null;
+}
+
+function conventionalPrompt(files) {
+  const type  = inferType(files);
+  const scope = inferScope(files);
+  return (
+    "Generate a git commit message in Conventional Commits format.\n" +
+    "Header: type(scope): subject — imperative tense, <=72 chars, no trailing period.\n" +
+    `Allowed types: ${CONVENTIONAL_TYPES.join(", ")}.\n` +
+    "Infer the type from the nature of the change and the scope from the paths touched; " +
+    "omit the scope if no single area fits.\n" +
+    "If the change breaks backwards compatibility, append ! after the type/scope and add a " +
+    "footer after a blank line: BREAKING CHANGE: <what breaks>.\n" +
+    "Reply with the commit message only — no quotes, no code fences.\n" +
+    (type  ? `Suggested type: ${type}\n`   : "") +
+    (scope ? `Suggested scope: ${scope}\n` : "") +
+    "\n"
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Message body, trailers and $EDITOR
+// ---------------------------------------------------------------------------
+const BODY_WIDTH = 72;
+const TRAILER_LINE = /^([A-Za-z][\w-]*|BREAKING CHANGE): \S/;
+
+function wrapLine(text, width, indent = "") {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && (line + " " + word).length > width) {
+      lines.push(line);
+      line = indent + word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+// Re-wraps prose paragraphs of the body at 72 columns. The subject, bullet
+// lists, indented blocks and trailer blocks are left alone (bullets get a
+// hanging indent).
+function wrapBody(message, width = BODY_WIDTH) {
+  const [subject, ...rest] = message.trim().split("\n");
+  const paragraphs = rest.join("\n").split(/\n\s*\n/)
+    .map(p => p.replace(/^\n+|\n+$/g, "")).filter(p => p.trim());
+
+  const wrapped = paragraphs.map((para) => {
+    const lines = para.split("\n");
+    if (lines.every(l => TRAILER_LINE.test(l)) || lines.some(l => /^\s{2,}|^\t/.test(l)))
+      return para;
+    if (lines.some(l => /^[-*] /.test(l))) {
+      const items = para.split(/\n(?=[-*] )/);
+      return items.map(item => wrapLine(item.replace(/\s*\n\s*/g, " "), width, "  ")).join("\n");
+    }
+    return wrapLine(para, width);
+  });
+
+  return [subject, ...wrapped].join("\n\n");
+}
+
+function parseTrailer(text) {
+  const m = /^([A-Za-z][\w-]*):\s*(\S.*)$/.exec(text.trim());
+  return m ? `${m[1]}: ${m[2]}` : null;
+}
+
+// Appends trailers as the final paragraph, joining an existing trailer or
+// BREAKING CHANGE block. Trailers already present are not repeated.
+function appendTrailers(message, trailers) {
+  const msg = message.trim();
+  const missing = trailers.filter(t => !msg.split("\n").includes(t));
+  if (!missing.length) return msg;
+
+  const paragraphs = msg.split(/\n\s*\n/);
+  const last = paragraphs[paragraphs.length - 1].split("\n");
+  const joinLast = paragraphs.length > 1 && last.every(l => TRAILER_LINE.test(l));
+  return msg + (joinLast ? "\n" : "\n\n") + missing.join("\n");
+}
+
+function stripComments(text) {
+  return text.split("\n").filter(l => !l.startsWith("#")).join("\n").trim();
+}
+
+// Markdown uses '#' for headings, so markdown text is cut at a scissors
+// line instead of dropping comment lines.
+const SCISSORS = "# ------------------------ >8 ------------------------";
+
+function editInEditor(initial, { name = "GTXR_EDITMSG", markdown = false } = {}) {
+  const file = gitPath(name, path.join(os.tmpdir(), name));
+  const editor = git("var", "GIT_EDITOR").stdout || process.env.VISUAL || process.env.EDITOR || "vi";
+
+  fs.writeFileSync(file, markdown
+    ? `${initial}\n\n${SCISSORS}\n` +
+      "# Edit the title (first line) and description above. Everything from\n" +
+      "# the scissors line down is ignored; an empty file aborts.\n"
+    : `${initial}\n\n` +
+      "# Edit the commit message above. Lines starting with '#' are ignored;\n" +
+      "# an empty message aborts the commit.\n"
+  );
+  const r = spawnSync(`${editor} "${file}"`, { shell: true, stdio: "inherit" });
+  if (r.status !== 0) {
+    err(`Editor exited with status ${r.status}.`);
+    return null;
+  }
+  const text   = fs.readFileSync(file, "utf8");
+  const edited = markdown ? text.split(SCISSORS)[0].trim() : stripComments(text);
+  try { fs.unlinkSync(file); } catch (_) {}
+  return edited || null;
+}
+
+// ---------------------------------------------------------------------------
+// Message lint — configurable rules for AI and typed messages
+// ---------------------------------------------------------------------------
+// Override under "lint" in the config; false (or an empty list) turns a
+// rule off. requireTicket is a regular expression, e.g. "[A-Z]+-\\d+".
+const DEFAULT_LINT = {
+  subjectMinLength:  5,
+  subjectMaxLength:  72,
+  noTrailingPeriod:  true,
+  imperative:        true,
+  requireTicket:     false,
+  forbiddenWords:    [],
+  bodyMaxLineLength: BODY_WIDTH,
+  strict:            false, // --message violations block the commit
+};
+const MAX_LINT_RETRIES = 2;
+
+// Verbs whose -ed/-ing/-s form gives away a descriptive subject ("Added",
+// "Fixing", "Updates"). Only these are flagged: a suffix alone is no proof
+// ("Shred logs", "Ceiling fix").
+const COMMON_VERBS = new Set([
+  "add", "fix", "update", "remove", "delete", "change", "create", "implement",
+  "improve", "refactor", "rename", "move", "use", "make", "allow", "support",
+  "handle", "bump", "upgrade", "replace", "clean", "drop", "enable", "disable",
+  "introduce", "merge", "revert", "simplify", "correct", "document", "prevent",
+  "adjust", "avoid", "convert", "ensure", "expose", "extend", "extract", "migrate",
+  "optimize", "reduce", "restore", "rewrite", "skip", "stop", "tweak", "wrap",
+]);
+
+// Subject without the Conventional Commits "type(scope): " prefix.
+function subjectText(message) {
+  const subject = message.split("\n")[0].trim();
+  const m = CONVENTIONAL_HEADER.exec(subject);
+  return m ? m[4] : subject;
+}
+
+// What a word could be with its suffix taken off: "fixed" → "fix",
+// "updating" → "updat"/"update", "dropped" → "dropp"/"drop".
+function verbStems(word) {
+  const stems = [];
+  for (const suffix of ["ing", "ed", "es", "s"]) {
+    if (!word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    stems.push(stem, `${stem}e`);
+    if (/(.)\1$/.test(stem)) stems.push(stem.slice(0, -1));
+  }
+  return stems;
+}
+
+function imperativeProblem(message) {
+  const word = (subjectText(message).split(/\s+/)[0] || "").toLowerCase().replace(/[^a-z]/g, "");
+  const descriptive = verbStems(word).some(stem => COMMON_VERBS.has(stem));
+  return descriptive
+    ? `Write the subject in the imperative mood ("Add", "Fix") — not "${word}".`
+    : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Rule values may come from a committed .gtxrrc, so each rule validates its
+// own: an invalid value is reported once and the default used instead.
+const countRule  = n => Number.isInteger(n) && n >= 0 ? null : "expected a whole number";
+const switchRule = v => typeof v === "boolean" ? null : "expected true or false";
+
+const LINT_RULES = [
+  { id: "subjectMinLength", valid: countRule, check: (msg, n) => subjectText(msg).length < n &&
+      `Subject is too short — say what changed (at least ${n} characters).` },
+  { id: "subjectMaxLength", valid: countRule, check: (msg, n) => msg.split("\n")[0].length > n &&
+      `Subject is ${msg.split("\n")[0].length} characters — keep it to ${n}.` },
+  { id: "noTrailingPeriod", valid: switchRule, check: msg => /\.\s*$/.test(msg.split("\n")[0]) &&
+      "Subject must not end with a period." },
+  { id: "imperative",       valid: switchRule, check: msg => imperativeProblem(msg) },
+  { id: "requireTicket",
+    valid: (re) => {
+      if (typeof re !== "string") return "expected a regular expression";
+      try { new RegExp(re); return null; } catch (e) { return e.message; }
+    },
+    check: (msg, re) => !new RegExp(re).test(msg) && `Reference a ticket (matching ${re}).` },
+  { id: "forbiddenWords",
+    valid: words => Array.isArray(words) && words.every(w => typeof w === "string") ? null : "expected a list of words",
+    check: (msg, words) => {
+      const found = words.filter(w => new RegExp(`\\b${escapeRegExp(w)}\\b`, "i").test(msg));
+      return found.length > 0 && `Remove forbidden word(s): ${found.join(", ")}.`;
+    } },
+  { id: "bodyMaxLineLength", valid: countRule, check: (msg, n) => {
+      const long = msg.split("\n").slice(1).filter(l => l.length > n && !/\S+:\/\/\S+/.test(l));
+      return long.length > 0 && `Wrap the body at ${n} characters (${long.length} line(s) longer).`;
+    } },
+  // Not a check: whether --message violations block the commit.
+  { id: "strict",           valid: switchRule, check: () => null },
+];
+
+function lintRules(config) {
+  const rules = { ...DEFAULT_LINT, ...(config.lint || {}) };
+  for (const { id, valid } of LINT_RULES) {
+    if (rules[id] === false || rules[id] == null) continue;
+    const problem = valid(rules[id]);
+    if (!problem) continue;
+    warn(`Ignoring lint rule ${id} (${JSON.stringify(rules[id])}): ${problem} — using the default.`);
+    rules[id] = DEFAULT_LINT[id];
+  }
+  return rules;
+}
+
+// Returns the rule violations for a message; [] when it passes.
+function lintMessage(message, rules) {
+  return LINT_RULES
+    .filter(r => rules[r.id] !== false && rules[r.id] != null && !(Array.isArray(rules[r.id]) && !rules[r.id].length))
+    .map(r => r.check(message, rules[r.id]))
+    .filter(Boolean);
+}
+
+// Rules spelled out for the AI up front, so most replies pass first time.
+function lintInstructions(rules) {
+  const lines = [];
+  if (rules.subjectMaxLength) lines.push(`Subject line at most ${rules.subjectMaxLength} characters.`);
+  if (rules.noTrailingPeriod) lines.push("No period at the end of the subject.");
+  if (rules.imperative)       lines.push("Subject in the imperative mood (\"Add\", not \"Added\" or \"Adds\").");
+  if (rules.forbiddenWords && rules.forbiddenWords.length) lines.push(`Never use: ${rules.forbiddenWords.join(", ")}.`);
+  return lines.length ? `Rules:\n${lines.map(l => `- ${l}`).join("\n")}\n\n` : "";
+}
+
+// ---------------------------------------------------------------------------
+// Tickets — pick the ticket key out of the branch name
+// ---------------------------------------------------------------------------
+// Override under "ticket" in the config. Patterns are regular expressions
+// tried in order against the branch name; a capture group, if any, is the
+// key. placement is prefix, suffix, trailer or none.
+const DEFAULT_TICKET = {
+  patterns:  ["[A-Z][A-Z0-9]+-\\d+"],
+  placement: "trailer",
+  format:    null,
+  trailer:   "Refs",
+  required:  false,
+};
+const TICKET_FORMATS = { prefix: "[{ticket}] ", suffix: " ({ticket})" };
+
+function findTicket(branch, patterns) {
+  for (const pattern of patterns) {
+    let re;
+    try { re = new RegExp(pattern); } catch (e) { warn(`Ignoring ticket pattern ${pattern}: ${e.message}`); continue; }
+    const m = re.exec(branch || "");
+    if (m) return m[1] || m[0];
+  }
+  return null;
+}
+
+// The ticket for the current branch, with how to write it into messages.
+// Writing it in is opt-in: without a "ticket" config the AI only hears of it.
+function branchTicket(config, branch) {
+  const settings = { ...DEFAULT_TICKET, ...(config.ticket || { placement: "none" }) };
+  const id = findTicket(branch, [].concat(settings.patterns));
+  if (!id) {
+    if (settings.required) warn(`No ticket found in branch '${branch}' — this repository expects one.`);
+    return null;
+  }
+  return {
+    id,
+    placement: settings.placement,
+    format:    settings.format || TICKET_FORMATS[settings.placement] || "",
+    trailer:   settings.trailer,
+  };
+}
+
+// Adds the ticket where configured, unless the message already mentions it.
+// A prefix goes after a Conventional Commits "type(scope): " so the header
+// stays valid.
+function insertTicket(message, ticket) {
+  if (!ticket || !message || message.includes(ticket.id)) return message;
+  const text = ticket.format.replace("{ticket}", ticket.id);
+  const [subject, ...rest] = message.split("\n");
+
+  if (ticket.placement === "prefix") {
+    const m = CONVENTIONAL_HEADER.exec(subject);
+    const at = m ? subject.length - m[4].length : 0;
+    return [subject.slice(0, at) + text + subject.slice(at), ...rest].join("\n");
+  }
+  if (ticket.placement === "suffix")  return [subject + text, ...rest].join("\n");
+  if (ticket.placement === "trailer") return appendTrailers(message, [`${ticket.trailer}: ${ticket.id}`]);
+  return message;
+}
+
+// Ticket and trailers, in that order, for every message gtxr commits.
+function finishMessage(message, opts) {
+  return appendTrailers(insertTicket(message.trim(), opts.ticket), opts.trailers);
+}
+
+// ---------------------------------------------------------------------------
+// Secret scanning — runs before anything is sent to AI or committed
+// ---------------------------------------------------------------------------
+const ALLOWLIST_FILE = ".gtxr-allowlist";
+
+const SECRET_RULES = [
+  { id: "private-key",   name: "Private key",          re: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY(?: BLOCK)?-----/ },
+  { id: "aws-key",       name: "AWS access key",       re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { id: "github-token",  name: "GitHub token",         re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/ },
+  { id: "anthropic-key", name: "Anthropic API key",    re: /\bsk-ant-[A-Za-z0-9_-]{20,}/ },
+  { id: "openai-key",    name: "OpenAI API key",       re: /\bsk-(?!ant-)(?:proj-)?[A-Za-z0-9_-]{20,}/ },
+  { id: "google-key",    name: "Google API key",       re: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { id: "slack-token",   name: "Slack token",          re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { id: "stripe-key",    name: "Stripe secret key",    re: /\b[sr]k_live_[0-9A-Za-z]{20,}/ },
+  { id: "jwt",           name: "JSON Web Token",       re: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/ },
+];
+
+// Assignments like `password = "..."` whose value looks random.
+const SECRET_ASSIGNMENT = /(?:api[_-]?key|secret|token|passw(?:or)?d|credential)s?["']?\s*[:=]\s*["']([^"'\s]{12,})["']/i;
+const HIGH_ENTROPY_WORD = /[A-Za-z0-9+/_=-]{24,}/g;
+const ENV_FILE = /(^|\/)\.env(\.(?!example$|sample$|template$|dist$)[^/]+)?$/;
+
+function shannonEntropy(text) {
+  const counts = {};
+  for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((h, n) => {
+    const p = n / text.length;
+    return h - p * Math.log2(p);
+  }, 0);
+}
+
+function looksRandom(word) {
+  return /[a-z]/.test(word) && /[A-Z]/.test(word) && /\d/.test(word) && shannonEntropy(word) >= 4.5;
+}
+
+function fingerprint(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 16);
+}
+
+function scanLine(line) {
+  for (const rule of SECRET_RULES) {
+    const m = rule.re.exec(line);
+    if (m) return { rule: rule.id, name: rule.name, value: m[0] };
+  }
+  const a = SECRET_ASSIGNMENT.exec(line);
+  if (a && shannonEntropy(a[1]) >= 3.5) return { rule: "assignment", name: "Hard-coded secret", value: a[1] };
+  for (const word of line.match(HIGH_ENTROPY_WORD) || []) {
+    if (looksRandom(word)) return { rule: "high-entropy", name: "High-entropy string", value: word };
+  }
+  return null;
+}
+
+// Scans the added lines of a unified diff. Returns
+// [{ file, line, rule, name, value, fingerprint }].
+function scanDiff(diff) {
+  const findings = [];
+  for (const { file, text } of splitDiff(diff)) {
+    if (ENV_FILE.test(file) && !/^deleted file/m.test(text)) {
+      findings.push({ file, line: 0, rule: "env-file", name: "Environment file", value: file, fingerprint: fingerprint(file) });
+    }
+    // Lockfiles are full of integrity hashes. Everything else is scanned,
+    // generated and vendored code included; exempt paths via the allowlist.
+    if (noiseReason(file) === "lockfile") continue;
+
+    let lineNo = 0;
+    for (const line of text.split("\n")) {
+      const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)/.exec(line);
+      if (hunk) { lineNo = Number(hunk[1]); continue; }
+      if (line.startsWith("+++") || line.startsWith("---")) continue;
+      if (line.startsWith("+")) {
+        const hit = scanLine(line.slice(1));
+        if (hit) findings.push({ file, line: lineNo, ...hit, fingerprint: fingerprint(hit.value) });
+        lineNo++;
+      } else if (!line.startsWith("-")) {
+        lineNo++;
+      }
+    }
+  }
+  return findings;
+}
+
+// Allowlist lines: `sha256:<fingerprint>`, `<glob>` or `<glob>:<rule-id>`.
+function loadAllowlist(root) {
+  try {
+    return fs.readFileSync(path.join(root, ALLOWLIST_FILE), "utf8")
+      .split("\n").map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  } catch (_) {
+    return [];
+  }
+}
+
+function isAllowed(finding, allowlist) {
+  return allowlist.some((entry) => {
+    if (entry.startsWith("sha256:")) return entry.slice(7) === finding.fingerprint;
+    const [glob, rule] = entry.split(/:(?=[a-z-]+$)/);
+    return globToRegExp(glob).test(finding.file) && (!rule || rule === finding.rule);
+  });
+}
+
+function redact(value) {
+  return value.length <= 8 ? "****" : `${value.slice(0, 4)}…(${value.length} chars)`;
+}
+
+// Scans the diff and reports findings. Returns true when it is safe to go on.
+function checkSecrets(config, diff, opts) {
+  if (config.secretScan === false) return true;
+  const allowlist = loadAllowlist(getRepoRoot());
+  const findings  = scanDiff(diff).filter(f => !isAllowed(f, allowlist));
+  if (!findings.length) return true;
+
+  err(`Possible secrets in the changes (${findings.length}):`);
+  for (const f of findings) {
+    const where = f.line ? `${f.file}:${f.line}` : f.file;
+    console.log(`  ${C.bold}${where}${C.reset}  ${f.name}  ${C.dim}${redact(f.value)}  sha256:${f.fingerprint}${C.reset}`);
+  }
+  if (opts.allowSecrets) {
+    warn("Continuing anyway (--allow-secrets).");
+    return true;
+  }
+  info(`Nothing was sent to AI and nothing was committed.`);
+  info(`False positive? Add its sha256:<fingerprint> line or a path glob to ${ALLOWLIST_FILE},`);
+  info("or rerun with --allow-secrets.");
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// .gtxrignore — keep paths and patterns out of AI prompts
+// ---------------------------------------------------------------------------
+// gitignore-style patterns (with ! to re-include) drop a file's diff from the
+// prompt; only its name and line counts are sent. `redact: <regex>` lines
+// replace matches in the remaining diff text.
+const AI_IGNORE_FILE = ".gtxrignore";
+
+function parseAiIgnore(text) {
+  const rules = { patterns: [], redactions: [] };
+  for (const raw of text.split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const redact = /^redact:\s*(.+)$/.exec(line);
+    if (redact) {
+      try {
+        rules.redactions.push(new RegExp(redact[1], "g"));
+      } catch (e) {
+        warn(`${AI_IGNORE_FILE}: invalid redact pattern '${redact[1]}' — ${e.message}`);
+      }
+      continue;
+    }
+    const negate = line.startsWith("!");
+    rules.patterns.push({ re: globToRegExp(negate ? line.slice(1) : line), negate });
+  }
+  return rules;
+}
+
+// .gtxrignore plus the "ignore" and "redact" lists from config.
+function loadAiIgnore(root, config = {}) {
+  let text = "";
+  try { text = fs.readFileSync(path.join(root, AI_IGNORE_FILE), "utf8"); } catch (_) {}
+  const extra = [
+    ...(config.ignore || []),
+    ...(config.redact || []).map(r => `redact: ${r}`),
+  ];
+  return parseAiIgnore([text, ...extra].join("\n"));
+}
+
+// Last matching pattern wins, as in .gitignore.
+function isAiIgnored(file, rules) {
+  let ignored = false;
+  for (const p of rules.patterns) {
+    if (p.re.test(file)) ignored = !p.negate;
+  }
+  return ignored;
+}
+
+function redactText(text, rules) {
+  return rules.redactions.reduce((t, re) => t.replace(re, "[REDACTED]"), text);
+}
+
+// ---------------------------------------------------------------------------
+// Diff condensing — fit large diffs into the provider's token budget
+// ---------------------------------------------------------------------------
+// Rough default budgets (in tokens) for the diff part of a prompt. Override
+// with "diffBudget" in the config: a number, or { provider: number }.
+const DIFF_BUDGETS = {
+  openai:    8000,
+  anthropic: 8000,
+  gemini:    16000,
+  custom:    3000,  // local models often run with small context windows
+};
+const MAX_SUMMARY_CHUNKS = 8;
+
+const NOISE_FILES = [
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb)$/,
+  /(^|\/)(Cargo\.lock|Gemfile\.lock|composer\.lock|poetry\.lock|Pipfile\.lock|go\.sum)$/,
+  /\.(min\.js|min\.css|map|snap)$/,
+  /(^|\/)(dist|build|coverage|vendor|node_modules)\//,
+];
+
+function estimateTokens(text) { return Math.ceil(text.length / 4); }
+
+function diffBudget(config) {
+  const b = config.diffBudget;
+  if (typeof b === "number") return b;
+  return (b && b[config.provider]) || DIFF_BUDGETS[config.provider] || 6000;
+}
+
+function noiseReason(file, stat) {
+  if (stat && stat.binary) return "binary";
+  const i = NOISE_FILES.findIndex(re => re.test(file));
+  if (i === 0 || i === 1) return "lockfile";
+  if (i >= 2)             return "generated";
+  return null;
+}
+
+// Per-file line counts for the staged (or working tree) diff, or for a
+// revision range such as "origin/main...HEAD".
+function getNumstat(range) {
+  const staged = range ? git("diff", "--numstat", range) : git("diff", "--cached", "--numstat");
+  const r = range || staged.ok && staged.stdout ? staged : git("diff", "--numstat");
+  const stats = new Map();
+  for (const line of r.stdout.split("\n").filter(Boolean)) {
+    const [added, deleted, file] = line.split("\t");
+    stats.set(file, { added, deleted, binary: added === "-" });
+  }
+  return stats;
+}
+
+// Splits a unified diff into one entry per file.
+function splitDiff(diff) {
+  return diff.split(/^(?=diff --git )/m).filter(Boolean).map((text) => {
+    const plus  = /^\+\+\+ b\/(.+)$/m.exec(text);
+    const minus = /^--- a\/(.+)$/m.exec(text);
+    const head  = /^diff --git a\/.+ b\/(.+)$/m.exec(text);
+    const file  = (plus || minus || head || [null, "unknown"])[1];
+    return { file, text, binary: /^Binary files .* differ$/m.test(text) };
+  });
+}
+
+function chunkFiles(files, limit) {
+  const chunks = [];
+  let current = [], size = 0;
+  for (const f of files) {
+    let text = f.text;
+    if (estimateTokens(text) > limit) text = text.slice(0, limit * 4) + "\n[... diff truncated ...]\n";
+    const tokens = estimateTokens(text);
+    if (current.length && size + tokens > limit) {
+      chunks.push(current);
+      current = []; size = 0;
+    }
+    current.push({ ...f, text });
+    size += tokens;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+function statSummary(entries, stats) {
+  return entries.map(({ file, reason }) => {
+    const s = stats.get(file);
+    const counts = s && !s.binary ? ` | +${s.added} -${s.deleted}` : "";
+    return `${file}${counts}${reason ? `  (${reason}, diff omitted)` : ""}`;
+  }).join("\n");
+}
+
+// Returns the diff context for the commit prompt: the diff itself when it
+// fits the budget, otherwise per-chunk AI summaries. Lockfiles, generated,
+// binary and .gtxrignore'd files only ever appear in the file summary.
+async function condenseDiff(config, diff, stats = getNumstat()) {
+  const rules = loadAiIgnore(getRepoRoot(), config);
+  const files = splitDiff(diff).map(f => ({
+    ...f,
+    text: redactText(f.text, rules),
+    reason: isAiIgnored(f.file, rules) ? `excluded by ${AI_IGNORE_FILE}`
+      : f.binary ? "binary" : noiseReason(f.file, stats.get(f.file)),
+  }));
+  const kept  = files.filter(f => !f.reason);
+  const summary = `Files changed:\n${statSummary(files, stats)}\n\n`;
+
+  const budget = diffBudget(config);
+  const body   = kept.map(f => f.text).join("");
+  if (estimateTokens(summary + body) <= budget) return `${summary}Diff:\n${body}`;
+
+  const chunks  = chunkFiles(kept, budget);
+  const summarised = chunks.slice(0, MAX_SUMMARY_CHUNKS);
+  info(`Large diff — summarising ${summarised.length} chunk(s) first...`);
+
+  const notes = [];
+  for (const chunk of summarised) {
+    const note = await callAI(config,
+      "Summarise this part of a git diff as at most five terse bullet points. " +
+      "Focus on behaviour and intent, not formatting.\n\n" +
+      chunk.map(f => f.text).join(""),
+      200
+    );
+    notes.push(`${chunk.map(f => f.file).join(", ")}:\n${note}`);
+  }
+  const rest = chunks.slice(MAX_SUMMARY_CHUNKS).flat().length;
+  if (rest) notes.push(`(${rest} more file(s) changed; see the file list above.)`);
+
+  return `${summary}Summaries of the changes:\n\n${notes.join("\n\n")}`;
+}
+
+// condenseDiff on first use, shared after that: summarising a diff over
+// budget costs AI calls that the branch suggestion and the commit message
+// shouldn't pay for twice. A failure is not kept, so the next use retries.
+function condensedContext(config, diff) {
+  let pending = null;
+  return () => pending || (pending = condenseDiff(config, diff).catch(e => { pending = null; throw e; }));
+}
+
+// ---------------------------------------------------------------------------
+// Get commit message
+// ---------------------------------------------------------------------------
+async function askManualMessage(opts) {
+  const { conventional, body } = opts;
+  if (!opts.interactive) {
+    err("No commit message — pass --message when running non-interactively.");
+    return null;
+  }
+  while (true) {
+    const msg = body
+      ? editInEditor(appendTrailers("", opts.trailers))
+      : await prompt("Commit message: ");
+    if (!msg) return null;
+
+    const problems = conventional ? validateConventional(msg) : [];
+    if (problems.length) {
+      problems.forEach(p => err(p));
+      info("Example: feat(auth): add password reset flow");
+      continue;
+    }
+
+    const message = finishMessage(msg, opts);
+    const lint = lintMessage(message, opts.lint);
+    if (!lint.length) return message;
+    lint.forEach(p => warn(p));
+    if ((await prompt("Commit anyway? (y/n) [n]: ")).toLowerCase() === "y") return message;
+  }
+}
+
+function buildCommitPrompt(context, opts) {
+  const head = opts.conventional
+    ? conventionalPrompt(getStagedFiles())
+    : opts.body
+      ? "Generate a git commit message for the changes below. Subject line: " +
+        "imperative tense, <=50 chars.\n"
+      : "Generate a very short (one-line, imperative tense, <=50 chars) " +
+        "git commit message summarising the changes below:\n\n";
+
+  const body = opts.body
+    ? "After the subject, add a blank line and a body of one to three short " +
+      `paragraphs, wrapped at ${BODY_WIDTH} columns, explaining why the change was ` +
+      "made and what it affects — not a line-by-line account of the diff. " +
+      "Do not add trailers such as Signed-off-by or Co-authored-by.\n\n"
+    : "";
+
+  const extra = opts.instructions
+    ? `Follow these repository conventions:\n${opts.instructions}\n\n`
+    : "";
+
+  return head + body + lintInstructions(opts.lint || {}) + ticketInstructions(opts.ticket) + extra + context;
+}
+
+function ticketInstructions(ticket) {
+  if (!ticket) return "";
+  return ticket.placement === "none"
+    ? `This work is for ticket ${ticket.id}; mention it in the message.\n\n`
+    : `This work is for ticket ${ticket.id}. gtxr adds the reference itself — do not include it.\n\n`;
+}
+
+function lintRetryPrompt(message, problems) {
+  return (
+    `\n\nYour previous message was:\n${message}\n\n` +
+    `It breaks these rules:\n${problems.map(p => `- ${p}`).join("\n")}\n` +
+    "Write a new message that follows every rule. Reply with the message only."
+  );
+}
+
+// One AI message, finished with ticket and trailers, regenerated while it
+// breaks lint rules (up to MAX_LINT_RETRIES). Throws on AI errors.
+async function generateMessage(config, aiPrompt, opts) {
+  const maxTokens = opts.body ? 400 : 100;
+  const request = async (text) => {
+    const reply = await callAI(config, text, maxTokens);
+    if (!reply) throw new Error("Empty response from AI");
+    return finishMessage(opts.body ? wrapBody(reply) : reply, opts);
+  };
+
+  let msg = await request(aiPrompt);
+  for (let retry = 0; retry < MAX_LINT_RETRIES; retry++) {
+    const problems = lintMessage(msg, opts.lint);
+    if (!problems.length) break;
+    info(`Message breaks ${problems.length} rule(s) — regenerating...`);
+    msg = await request(aiPrompt + lintRetryPrompt(msg, problems));
+  }
+  return msg;
+}
+
+async function getCommitMessage(config, diff, opts, context = condensedContext(config, diff)) {
+  const { noAi, conventional } = opts;
+  const useAi = isAiConfigured(config) && !noAi;
+
+  if (opts.message) {
+    const problems = conventional ? validateConventional(opts.message) : [];
+    if (problems.length) {
+      problems.forEach(p => err(p));
+      return null;
+    }
+    // Lint is advisory for a message the user wrote, unless the config
+    // opts in with "strict": scripts passing -m must not start failing.
+    const message = finishMessage(opts.message, opts);
+    const lint    = lintMessage(message, opts.lint);
+    if (lint.length && opts.lint.strict) {
+      lint.forEach(p => err(p));
+      err('Not committed — "lint.strict" is on. Fix the message, or turn the rule off.');
+      process.exit(EXIT.COMMIT_FAILED);
+    }
+    lint.forEach(p => warn(p));
+    return message;
+  }
+
+  if (!useAi) {
+    if (!noAi) warn("AI not configured — run: gtxr setup");
+    return askManualMessage(opts);
+  }
+
+  const generate = opts.interactive ? await prompt("Generate commit message with AI? (y/n) [y]: ") : "y";
+  if (generate && generate.toLowerCase() !== "y") {
+    return askManualMessage(opts);
+  }
+
+  if (!diff) {
+    warn("Nothing staged — enter message manually.");
+    return askManualMessage(opts);
+  }
+
+  let aiPrompt = null;
+  let msg = null;
+  while (true) {
+    if (!msg) {
+      try {
+        if (!aiPrompt) aiPrompt = buildCommitPrompt(await context(), opts);
+        info(`Generating via ${config.provider}...`);
+        msg = await generateMessage(config, aiPrompt, opts);
+      } catch (e) {
+        handleAiError(config, e);
+        if (!opts.interactive) process.exit(EXIT.AI_FAILED);
+        info("Falling back to manual input.");
+        return askManualMessage(opts);
+      }
+    }
+
+    console.log(`\n  ${C.green}${msg.split("\n").join("\n  ")}${C.reset}\n`);
+    if (conventional) validateConventional(msg).forEach(p => warn(p));
+    lintMessage(msg, opts.lint).forEach(p => warn(p));
+    if (!opts.interactive) return msg;
+    const choice = (await prompt("Use this? (y / r=regenerate / e=edit / m=manual) [y]: ")).toLowerCase() || "y";
+
+    if (choice === "y") return msg;
+    if (choice === "r") { msg = null; continue; }
+    if (choice === "e") { msg = editInEditor(msg) || msg; continue; }
+    return askManualMessage(opts);
+  }
+}
+
+// Message options shared by the commit flows, from config and flags.
+function messageOptions(config, opts) {
+  return {
+    noAi:         opts.noAi,
+    conventional: opts.conventional || config.commitStyle === "conventional",
+    body:         opts.body || config.commitBody === true,
+    trailers:     [...(config.trailers || []), ...opts.trailers],
+    message:      opts.message,
+    interactive:  opts.interactive,
+    instructions: (config.prompt || {}).instructions,
+    lint:         lintRules(config),
+    ticket:       branchTicket(config, getCurrentBranch()),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Split — group a messy working tree into several commits
+// ---------------------------------------------------------------------------
+function splitPrompt(files, context, msgOpts) {
+  const style = msgOpts.conventional
+    ? "Each message must be a Conventional Commits header: type(scope): subject."
+    : "Each message is one line, imperative tense, <=50 chars.";
+  return (
+    "Group the changed files below into a small number of logical, self-contained " +
+    "commits, ordered so that each commit makes sense on its own. " + style + "\n" +
+    "Every file must appear in exactly one group. Reply with JSON only, no code fences:\n" +
+    '{"commits":[{"message":"...","files":["path", "..."]}]}\n\n' +
+    lintInstructions(msgOpts.lint || {}) +
+    `Changed files:\n${files.join("\n")}\n\n${context}`
+  );
+}
+
+// Parses the AI reply into [{ message, files }]. Unknown paths are dropped,
+// duplicates keep their first group, and files the AI forgot end up in a
+// final catch-all group, so every changed file is committed exactly once.
+function parseSplitPlan(reply, files) {
+  const json = reply.slice(reply.indexOf("{"), reply.lastIndexOf("}") + 1);
+  let parsed;
+  try { parsed = JSON.parse(json); } catch (_) { throw new Error("AI did not return a valid commit plan."); }
+  if (!parsed || !Array.isArray(parsed.commits)) throw new Error("AI did not return a valid commit plan.");
+
+  const known = new Set(files);
+  const seen  = new Set();
+  const plan  = [];
+  for (const c of parsed.commits) {
+    const groupFiles = (Array.isArray(c.files) ? c.files : [])
+      .filter(f => known.has(f) && !seen.has(f));
+    groupFiles.forEach(f => seen.add(f));
+    if (groupFiles.length && typeof c.message === "string" && c.message.trim())
+      plan.push({ message: c.message.trim(), files: groupFiles });
+  }
+  const rest = files.filter(f => !seen.has(f));
+  if (rest.length) plan.push({ message: "Update remaining files", files: rest });
+  return plan;
+}
+
+// Moves a file (by its number in the printed plan) to another group, or to
+// a new group when `to` is plan.length. Empty groups are dropped.
+function moveFile(plan, fileNumber, to) {
+  const all = plan.flatMap((g, gi) => g.files.map(f => ({ f, gi })));
+  const target = all[fileNumber - 1];
+  if (!target || !Number.isInteger(to) || to < 0 || to > plan.length) return plan;
+
+  const next = plan.map(g => ({ ...g, files: g.files.filter(f => f !== target.f) }));
+  if (to === plan.length) next.push({ message: "New commit", files: [target.f] });
+  else next[to].files.push(target.f);
+  return next.filter(g => g.files.length);
+}
+
+// Format and lint problems for a group message, checked as it will be
+// committed (ticket and trailers included).
+function groupProblems(message, msgOpts) {
+  return [
+    ...(msgOpts.conventional ? validateConventional(message) : []),
+    ...lintMessage(finishMessage(message, msgOpts), msgOpts.lint),
+  ];
+}
+
+// Asks the AI for a new message for each group that breaks the rules, up to
+// MAX_LINT_RETRIES times per group, as generateMessage does for one commit.
+async function fixPlanMessages(config, plan, ask, msgOpts) {
+  for (const [i, group] of plan.entries()) {
+    for (let retry = 0; retry < MAX_LINT_RETRIES; retry++) {
+      const problems = groupProblems(group.message, msgOpts);
+      if (!problems.length) break;
+      info(`Group ${i + 1} message breaks ${problems.length} rule(s) — regenerating...`);
+      const reply = await callAI(config,
+        `${ask}\n\nOne of your groups holds these files:\n${group.files.join("\n")}` +
+        lintRetryPrompt(group.message, problems) + " One line, no JSON.", 100);
+      const line = (reply || "").split("\n").map(l => l.trim()).find(Boolean);
+      if (line) group.message = line;
+    }
+  }
+  return plan;
+}
+
+// Prompts for a group's new message until it passes the rules or the user
+// keeps it anyway. Returns null when left empty.
+async function askGroupMessage(current, msgOpts) {
+  while (true) {
+    const message = (await prompt(`Message [${current}]: `)).trim();
+    if (!message) return null;
+    const format = msgOpts.conventional ? validateConventional(message) : [];
+    if (format.length) {
+      format.forEach(p => err(p));
+      info("Example: feat(auth): add password reset flow");
+      continue;
+    }
+    const lint = lintMessage(finishMessage(message, msgOpts), msgOpts.lint);
+    if (!lint.length) return message;
+    lint.forEach(p => warn(p));
+    if ((await prompt("Use anyway? (y/n) [n]: ")).toLowerCase() === "y") return message;
+  }
+}
+
+function printPlan(plan) {
+  let n = 0;
+  plan.forEach((g, gi) => {
+    console.log(`\n${C.bold}${gi + 1}. ${g.message}${C.reset}`);
+    g.files.forEach(f => console.log(`   ${C.dim}${++n}.${C.reset} ${f}`));
+  });
+  console.log("");
+}
+
+async function cmdSplit(opts) {
+  header("GTXR Split");
+  if (!isGitRepo()) {
+    err("Not a git repository. Run 'git init' first.");
+    process.exit(EXIT.ERROR);
+  }
+
+  const config  = opts.model ? withModel(resolveConfig(), opts.model) : resolveConfig();
+  const msgOpts = messageOptions(config, opts);
+  if (!isAiConfigured(config) || opts.noAi) {
+    err("gtxr split needs an AI provider — run: gtxr setup");
+    process.exit(EXIT.AI_FAILED);
+  }
+
+  // Start from an empty index; untracked files are added as intent-to-add so
+  // their contents show up in the diff.
+  if (!git("diff", "--cached", "--quiet").ok) {
+    warn("Split works on whole files — currently staged changes will be regrouped.");
+  }
+  git("reset", "-q");
+  const entries = getStatusEntries();
+  if (!entries.length) {
+    warn("No changes detected — nothing to commit.");
+    process.exit(EXIT.NOTHING);
+  }
+  const untracked = entries.filter(e => e.status === "??").map(e => e.path);
+  if (untracked.length) git("add", "-N", "--", ...untracked);
+  const files = entries.map(e => e.path);
+
+  const diff = getDiff();
+  if (!checkSecrets(config, diff, opts)) {
+    git("reset", "-q");
+    process.exit(EXIT.SECRETS);
+  }
+
+  let plan = null;
+  try {
+    const context = await condenseDiff(config, diff);
+    const ask = splitPrompt(files, context, msgOpts);
+    while (true) {
+      if (!plan) {
+        info(`Planning commits via ${config.provider}...`);
+        plan = await fixPlanMessages(config, parseSplitPlan(await callAI(config, ask, 1000), files), ask, msgOpts);
+      }
+      printPlan(plan);
+      if (!opts.interactive) break;
+
+      const choice = (await prompt(
+        `Commit these ${plan.length} group(s)? (y / m=move file / e=edit message / r=replan / q=quit) [y]: `
+      )).toLowerCase() || "y";
+      if (choice === "y") break;
+      if (choice === "q") { git("reset", "-q"); info("Split cancelled."); return; }
+      if (choice === "r") { plan = null; continue; }
+      if (choice === "m") {
+        const file = parseInt(await prompt("File number to move: "), 10);
+        const to   = await prompt(`To group (1-${plan.length}, n=new): `);
+        plan = moveFile(plan, file, to.toLowerCase() === "n" ? plan.length : parseInt(to, 10) - 1);
+      }
+      if (choice === "e") {
+        const g = plan[parseInt(await prompt("Group number: "), 10) - 1];
+        if (!g) continue;
+        const message = await askGroupMessage(g.message, msgOpts);
+        if (message) g.message = message;
+      }
+    }
+  } catch (e) {
+    git("reset", "-q");
+    handleAiError(config, e);
+    process.exit(EXIT.AI_FAILED);
+  }
+
+  git("reset", "-q");
+  const op = startOperation("split");
+  op.staged = files;
+  for (const [i, group] of plan.entries()) {
+    groupProblems(group.message, msgOpts).forEach(p => warn(`Group ${i + 1}: ${p}`));
+
+    const add = git("add", "-A", "--", ...group.files);
+    const message = finishMessage(group.message, msgOpts);
+    const commit = add.ok ? git("commit", "-m", message) : add;
+    if (!commit.ok) {
+      err(`Commit ${i + 1} of ${plan.length} failed: ${commit.stderr}`);
+      if (i > 0) info(`${i} commit(s) were created; the remaining changes are still in the working tree.`);
+      process.exit(EXIT.COMMIT_FAILED);
+    }
+    ok(`Committed (${i + 1}/${plan.length}): ${group.message}`);
+    op.commits.push(git("rev-parse", "HEAD").stdout);
+    recordOperation(op);
+  }
+
+  if (getStatus()) warn("Some changes are still uncommitted — check git status.");
+  else ok("Working tree clean.");
+  header("Done!");
+}
+
+// ---------------------------------------------------------------------------
+// Pull requests — GitHub REST API (github.com, Enterprise or a stand-in)
+// ---------------------------------------------------------------------------
+// "git@github.com:o/r.git", "https://host/o/r", "ssh://git@host:22/o/r.git"
+function parseRemoteUrl(url) {
+  const m = (url || "").match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/i);
+  if (!m) return null;
+  const parts = m[2].split("/");
+  if (parts.length < 2) return null;
+  return { host: m[1], owner: parts[parts.length - 2], repo: parts[parts.length - 1] };
+}
+
+// The token never comes from a repository config: it is sent to apiUrl.
+function githubSettings(config, host, env = process.env) {
+  const gh = config.github || {};
+  const apiUrl = env.GTXR_GITHUB_API_URL || gh.apiUrl ||
+    (!host || host === "github.com" ? "https://api.github.com" : `https://${host}/api/v3`);
+  return {
+    apiUrl: apiUrl.replace(/\/+$/, ""),
+    token:  env.GITHUB_TOKEN || env.GH_TOKEN || gh.token || "",
+  };
+}
+
+// --base, the configured base branch, the remote's default branch, then
+// whichever of main/master the remote has.
+function resolveBaseBranch(remote, config, opts) {
+  if (opts.base) return opts.base;
+  if (config.baseBranch) return config.baseBranch;
+  const head = git("symbolic-ref", "--short", `refs/remotes/${remote}/HEAD`);
+  if (head.ok) return head.stdout.slice(remote.length + 1);
+  return ["main", "master"].find(b => git("rev-parse", "--verify", "--quiet", `refs/remotes/${remote}/${b}`).ok) || "main";
+}
+
+function prPrompt(commits, context, opts) {
+  const extra = opts.instructions
+    ? `Follow these repository conventions:\n${opts.instructions}\n\n`
+    : "";
+  return (
+    "Write a GitHub pull request for the branch below. Reply with the title on the " +
+    "first line (imperative tense, <=72 chars, no markdown), a blank line, then a " +
+    "markdown description with exactly these sections:\n" +
+    "## Summary\nTwo or three sentences on what the change does and why.\n" +
+    "## Changes\nA bullet list of the notable changes.\n" +
+    "## Testing\nHow the change was tested or should be tested.\n\n" +
+    extra +
+    `Commits:\n${commits}\n\n${context}`
+  );
+}
+
+// Splits a reply into { title, body }, tolerating code fences and a
+// "Title:" or "#" prefix on the first line.
+function parsePr(text) {
+  const lines = (text || "").replace(/^```\w*\n?|\n?```\s*$/g, "").trim().split("\n");
+  const title = (lines.shift() || "").replace(/^#+\s*|^title:\s*/i, "").trim();
+  return title ? { title, body: lines.join("\n").trim() } : null;
+}
+
+function prFromCommits(subjects, branch) {
+  const title = subjects.length === 1 ? subjects[0]
+    : branch.replace(/^[^/]+\//, "").replace(/[-_]+/g, " ").replace(/^./, c => c.toUpperCase());
+  return { title, body: `## Changes\n\n${subjects.map(s => `- ${s}`).join("\n")}` };
+}
+
+function showPr(pr) {
+  console.log(`\n  ${C.bold}${pr.title}${C.reset}\n`);
+  console.log(`  ${pr.body.split("\n").join("\n  ")}\n`);
+}
+
+async function cmdPr(opts) {
+  header("GTXR Pull Request");
+  if (!isGitRepo()) {
+    err("Not a git repository. Run 'git init' first.");
+    process.exit(EXIT.ERROR);
+  }
+
+  let config = resolveConfig();
+  if (opts.model) config = withModel(config, opts.model);
+  const branch = getCurrentBranch();
+
+  const target = await resolvePushTarget(branch, config, opts, opts.interactive);
+  if (!target) {
+    err("No remote to push to. Add one with: git remote add origin <url>");
+    process.exit(EXIT.ERROR);
+  }
+  // Open the PR against "upstream" when there is one (the usual fork
+  // setup), otherwise against the repository we push to.
+  const baseRemote = getRemotes().includes("upstream") ? "upstream" : target.remote;
+  const repo = parseRemoteUrl(getRemoteUrl(baseRemote));
+  const fork = parseRemoteUrl(getRemoteUrl(target.remote));
+  if (!repo || !fork) {
+    err(`Cannot tell the GitHub repository from the '${baseRemote}' remote URL.`);
+    process.exit(EXIT.ERROR);
+  }
+  const gh = githubSettings(config, repo.host);
+  if (!gh.token) {
+    err("No GitHub token — set GITHUB_TOKEN, or \"github\": { \"token\" } in " + CONFIG_FILE);
+    process.exit(EXIT.ERROR);
+  }
+
+  const base = resolveBaseBranch(baseRemote, config, opts);
+  if (base === target.dest && baseRemote === target.remote) {
+    err(`'${branch}' is the base branch — switch to a feature branch first.`);
+    process.exit(EXIT.ERROR);
+  }
+  git("fetch", "--quiet", baseRemote, base);
+  const baseRef = `${baseRemote}/${base}`;
+  info(`Base   : ${baseRef}`);
+  info(`Branch : ${branch} → ${target.remote}/${target.dest}`);
+
+  const log = git("log", "--no-merges", "--format=%s", `${baseRef}..HEAD`);
+  if (!log.ok) {
+    err(`Cannot compare with ${baseRef}: ${log.stderr}`);
+    process.exit(EXIT.ERROR);
+  }
+  const subjects = log.stdout ? log.stdout.split("\n") : [];
+  if (!subjects.length) {
+    warn(`No commits on '${branch}' that are not on ${baseRef}.`);
+    process.exit(EXIT.NOTHING);
+  }
+
+  // The PR can only be opened once the branch is on the remote.
+  git("fetch", "--quiet", target.remote, target.dest);
+  if (remoteRefSha(target.remote, target.dest) !== git("rev-parse", "HEAD").stdout) {
+    if (opts.noPush) {
+      err(`${target.remote}/${target.dest} is not up to date — push first, or drop --no-push.`);
+      process.exit(EXIT.PUSH_FAILED);
+    }
+    const doPush = !opts.interactive ||
+      (await prompt(`Push '${branch}' to ${target.remote} first? (y/n) [y]: `) || "y").toLowerCase() === "y";
+    if (!doPush) { warn("A pull request needs the branch on the remote."); process.exit(EXIT.PUSH_FAILED); }
+    if (!await push(target, { config, interactive: opts.interactive })) process.exit(EXIT.PUSH_FAILED);
+  }
+
+  const range = `${baseRef}...HEAD`;
+  const diff  = git("diff", range).stdout;
+  if (!checkSecrets(config, diff, opts)) process.exit(EXIT.SECRETS);
+
+  const msgOpts = messageOptions(config, opts);
+  const useAi   = isAiConfigured(config) && !opts.noAi;
+  if (!useAi && !opts.noAi) warn("AI not configured — starting from the commit list.");
+
+  let pr = null;
+  let aiPrompt = null;
+  while (true) {
+    if (!pr && useAi) {
+      try {
+        if (!aiPrompt) {
+          const rules = loadAiIgnore(getRepoRoot(), config);
+          aiPrompt = prPrompt(subjects.map(s => `- ${redactText(s, rules)}`).join("\n"),
+            await condenseDiff(config, diff, getNumstat(range)), msgOpts);
+        }
+        info(`Generating via ${config.provider}...`);
+        pr = parsePr(await callAI(config, aiPrompt, 800));
+        if (!pr) throw new Error("Empty response from AI");
+      } catch (e) {
+        handleAiError(config, e);
+        if (!opts.interactive) process.exit(EXIT.AI_FAILED);
+        info("Starting from the commit list instead.");
+      }
+    }
+    if (!pr) pr = prFromCommits(subjects, branch);
+
+    showPr(pr);
+    if (!opts.interactive) break;
+    const choice = (await prompt(
+      `Open this${opts.draft ? " draft" : ""} PR? (y / e=edit / r=regenerate / q=quit) [y]: `
+    )).toLowerCase() || "y";
+    if (choice === "y") break;
+    if (choice === "q") { info("No pull request created."); return; }
+    if (choice === "r") { pr = null; continue; }
+    if (choice === "e") {
+      const edited = parsePr(editInEditor(`${pr.title}\n\n${pr.body}`, { name: "GTXR_PRMSG", markdown: true }));
+      if (edited) pr = edited;
+    }
+  }
+
+  const head = fork.owner === repo.owner ? target.dest : `${fork.owner}:${target.dest}`;
+  info(`Opening pull request on ${repo.owner}/${repo.repo}...`);
+  try {
+    const res = await requestJson("POST", `${gh.apiUrl}/repos/${repo.owner}/${repo.repo}/pulls`, {
+      headers: {
+        Authorization: `Bearer ${gh.token}`,
+        Accept: "application/vnd.github+json",
+        "X-GitHub-Api-Version": "2022-11-28",
+      },
+      body: { title: pr.title, body: pr.body, head, base, draft: opts.draft },
+    });
+    ok(`Opened pull request #${res.number}: ${res.html_url}`);
+  } catch (e) {
+    const msg = e.message || "";
+    if (msg.includes("already exists")) err(`A pull request for '${head}' into '${base}' already exists.`);
+    else if (msg.startsWith("401") || msg.startsWith("403")) err(`GitHub rejected the token: ${msg}`);
+    else if (msg.startsWith("404")) err(`${repo.owner}/${repo.repo} not found at ${gh.apiUrl}, or the token cannot see it.`);
+    else err(`Could not open the pull request: ${msg}`);
+    process.exit(EXIT.ERROR);
+  }
+  header("Done!");
+}
+
+// ---------------------------------------------------------------------------
+// Changelog — Keep a Changelog sections from commit history
+// ---------------------------------------------------------------------------
+const CHANGELOG_FILE = "CHANGELOG.md";
+const CHANGELOG_CATEGORIES = ["Added", "Changed", "Deprecated", "Removed", "Fixed", "Security"];
+const CHANGELOG_HEADER =
+  "# Changelog\n\n" +
+  "All notable changes to this project will be documented in this file.\n\n" +
+  "The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),\n" +
+  "and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).\n";
+
+// Conventional types that users notice; the rest (docs, test, ci, chore...)
+// are left out of the changelog.
+const TYPE_CATEGORIES = { feat: "Added", fix: "Fixed", perf: "Changed", refactor: "Changed", revert: "Removed" };
+
+// "v1.0..v1.1", "v1.0.." or "v1.0" (up to HEAD). Without a start, from the
+// latest tag before the end, or from the first commit when there is none.
+function parseRange(range) {
+  const [from, to] = (range || "").includes("..") ? range.split(/\.{2,3}/) : [range || "", ""];
+  const end = to || "HEAD";
+  if (from) return { from, to: end };
+  const tag = git("describe", "--tags", "--abbrev=0", `${end}^`);
+  return { from: tag.ok ? tag.stdout : null, to: end };
+}
+
+function getCommits(from, to) {
+  const r = git("log", "--no-merges", "--format=%h%x1f%s%x1f%b%x1e", from ? `${from}..${to}` : to);
+  if (!r.ok) return null;
+  return r.stdout.split("\x1e").map(c => c.trim()).filter(Boolean).map(c => {
+    const [hash, subject, body = ""] = c.split("\x1f");
+    return { hash, subject, body };
+  });
+}
+
+// Conventional commits are classified by type; null means "ask AI".
+// Breaking changes always land in Changed and are flagged as such.
+function classifyCommit(commit) {
+  if (/^Release v?\d/.test(commit.subject)) return { category: "Skip", text: commit.subject };
+  const m = CONVENTIONAL_HEADER.exec(commit.subject);
+  if (!m) return null;
+  const [, type, scope, bang, description] = m;
+  const breaking = Boolean(bang) || /^BREAKING[ -]CHANGE: /m.test(commit.body);
+  const category = breaking ? "Changed" : scope === "security" ? "Security" : TYPE_CATEGORIES[type] || "Skip";
+  const text = `${breaking ? "**Breaking:** " : ""}${scope && scope !== "security" ? `**${scope}:** ` : ""}${description}`;
+  return { category, text };
+}
+
+function changelogPrompt(subjects) {
+  return (
+    "Classify each git commit below for a changelog. Categories: " +
+    `${CHANGELOG_CATEGORIES.join(", ")}, or Skip for changes users never notice ` +
+    "(tests, CI, formatting, internal chores). Reply with JSON only, no code fences, " +
+    'mapping each number to a category, e.g. {"1":"Added","2":"Skip"}.\n\n' +
+    subjects.map((s, i) => `${i + 1}. ${s}`).join("\n")
+  );
+}
+
+function parseClassification(text, count) {
+  let json = {};
+  try { json = JSON.parse((text || "").replace(/^```\w*\n?|\n?```\s*$/g, "")); } catch (_) {}
+  return Array.from({ length: count }, (_, i) => {
+    const c = String(json[i + 1] || "");
+    return [...CHANGELOG_CATEGORIES, "Skip"].find(k => k.toLowerCase() === c.toLowerCase()) || "Changed";
+  });
+}
+
+// { Added: [...], Fixed: [...] } → "### Added\n\n- ...\n\n### Fixed..."
+function renderEntries(groups) {
+  return CHANGELOG_CATEGORIES
+    .filter(c => groups[c] && groups[c].length)
+    .map(c => `### ${c}\n\n${groups[c].map(e => `- ${e}`).join("\n")}`)
+    .join("\n\n");
+}
+
+function releaseNotesPrompt(entries) {
+  return (
+    "Rewrite these changelog entries as release notes for users. Keep the same " +
+    "markdown layout: ### headings from this list only: " +
+    `${CHANGELOG_CATEGORIES.join(", ")}, each followed by a bullet list. ` +
+    "Merge duplicates, drop implementation detail, keep each bullet to one line " +
+    "and keep any **Breaking:** markers. Reply with the markdown only.\n\n" + entries
+  );
+}
+
+// Replaces the section with the same heading. Otherwise the new one goes
+// above the newest release — below [Unreleased], which Keep a Changelog
+// keeps at the top.
+function insertSection(changelog, version, section) {
+  const text = changelog || CHANGELOG_HEADER;
+  const lines = text.split("\n");
+  const heading = l => /^## /.test(l);
+  const same = lines.findIndex(l => heading(l) && l.startsWith(`## [${version}]`));
+  if (same !== -1) {
+    let end = lines.findIndex((l, i) => i > same && heading(l));
+    if (end === -1) end = lines.length;
+    return [...lines.slice(0, same), ...section.trimEnd().split("\n"), "", ...lines.slice(end)].join("\n").trimEnd() + "\n";
+  }
+  const unreleased = lines.findIndex(l => l.startsWith("## [Unreleased]"));
+  const first = unreleased === -1
+    ? lines.findIndex(heading)
+    : lines.findIndex((l, i) => i > unreleased && heading(l));
+  if (first === -1) return `${text.trimEnd()}\n\n${section.trimEnd()}\n`;
+  return [...lines.slice(0, first), ...section.trimEnd().split("\n"), "", ...lines.slice(first)].join("\n");
+}
+
+// The [Unreleased] section's body, or "" when there is none.
+function unreleasedEntries(changelog) {
+  const lines = (changelog || "").split("\n");
+  const start = lines.findIndex(l => l.startsWith("## [Unreleased]"));
+  if (start === -1) return "";
+  const end = lines.findIndex((l, i) => i > start && /^## /.test(l));
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join("\n").trim();
+}
+
+// Empties [Unreleased] once a release has taken its entries.
+function clearUnreleased(changelog) {
+  if (!unreleasedEntries(changelog)) return changelog;
+  return insertSection(changelog, "Unreleased", "## [Unreleased]\n");
+}
+
+// Merges changelog bodies category by category, in the order Keep a
+// Changelog lists them. Entries already present are not repeated; text
+// before the first category is kept in front.
+function mergeEntries(...bodies) {
+  const groups = new Map([["", []], ...CHANGELOG_CATEGORIES.map(c => [c, []])]);
+  for (const body of bodies) {
+    let current = "";
+    for (const line of body.split("\n")) {
+      const h = /^### (.+?)\s*$/.exec(line);
+      if (h) {
+        current = h[1];
+        if (!groups.has(current)) groups.set(current, []);
+      } else if (current === "") {
+        groups.get("").push(line);
+      } else if (line.trim() && !groups.get(current).includes(line)) {
+        groups.get(current).push(line);
+      }
+    }
+    groups.get("").push("");
+  }
+  const intro = groups.get("").join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  const sections = [...groups].filter(([c, lines]) => c && lines.length)
+    .map(([c, lines]) => `### ${c}\n\n${lines.join("\n")}`);
+  return [intro, ...sections].filter(Boolean).join("\n\n");
+}
+
+async function cmdChangelog(opts) {
+  header("GTXR Changelog");
+  if (!isGitRepo()) {
+    err("Not a git repository. Run 'git init' first.");
+    process.exit(EXIT.ERROR);
+  }
+
+  let config = resolveConfig();
+  if (opts.model) config = withModel(config, opts.model);
+  const useAi = isAiConfigured(config) && !opts.noAi;
+
+  const { from, to } = parseRange(opts.range);
+  if (opts.tag && git("rev-parse", to).stdout !== git("rev-parse", "HEAD").stdout) {
+    err("--tag needs the range to end at HEAD.");
+    process.exit(EXIT.ERROR);
+  }
+  if (opts.tag && git("rev-parse", "--verify", "--quiet", `refs/tags/${opts.tag}`).ok) {
+    err(`Tag '${opts.tag}' already exists.`);
+    process.exit(EXIT.ERROR);
+  }
+  const commits = getCommits(from, to);
+  if (!commits) {
+    err(`Unknown range '${from ? `${from}..` : ""}${to}'.`);
+    process.exit(EXIT.ERROR);
+  }
+  info(`Range  : ${from ? `${from}..${to}` : `start..${to}`}  (${commits.length} commit(s))`);
+  if (!commits.length) {
+    warn("No commits in range — nothing to write.");
+    process.exit(EXIT.NOTHING);
+  }
+
+  const rules = useAi ? loadAiIgnore(getRepoRoot(), config) : null;
+  const classified = commits.map(classifyCommit);
+  const unknown = commits.filter((_, i) => !classified[i]);
+  if (unknown.length) {
+    let categories = unknown.map(() => "Changed");
+    if (useAi) {
+      try {
+        info(`Classifying ${unknown.length} commit(s) via ${config.provider}...`);
+        const reply = await callAI(config, changelogPrompt(unknown.map(c => redactText(c.subject, rules))), 400);
+        categories = parseClassification(reply, unknown.length);
+      } catch (e) {
+        handleAiError(config, e);
+        if (!opts.interactive) process.exit(EXIT.AI_FAILED);
+        info("Listing unclassified commits under Changed.");
+      }
+    }
+    unknown.forEach((c, i) => { classified[commits.indexOf(c)] = { category: categories[i], text: c.subject }; });
+  }
+
+  const groups = {};
+  for (const { category, text } of classified) {
+    if (category !== "Skip") (groups[category] = groups[category] || []).push(text);
+  }
+  let entries = renderEntries(groups);
+  if (!entries) {
+    warn("Every commit in range was skipped (tests, CI, chores) — nothing to write.");
+    process.exit(EXIT.NOTHING);
+  }
+
+  if (opts.notes && useAi) {
+    try {
+      info(`Writing release notes via ${config.provider}...`);
+      const notes = await callAI(config, releaseNotesPrompt(redactText(entries, rules)), 800);
+      if (/^### /m.test(notes)) entries = notes.replace(/^```\w*\n?|\n?```\s*$/g, "").trim();
+      else warn("Release notes came back in an unexpected shape — keeping the plain entries.");
+    } catch (e) {
+      handleAiError(config, e);
+      info("Keeping the plain entries.");
+    }
+  } else if (opts.notes) {
+    warn("Release notes need AI — keeping the plain entries.");
+  }
+
+  const file = path.join(getRepoRoot(), CHANGELOG_FILE);
+  let existing = null;
+  try { existing = fs.readFileSync(file, "utf8"); } catch (_) {}
+
+  // Releasing: whatever was collected under [Unreleased] ships in this tag.
+  const pending = opts.tag ? unreleasedEntries(existing) : "";
+  if (pending) {
+    entries = mergeEntries(pending, entries);
+    info(`Folding [Unreleased] into ${opts.tag}.`);
+  }
+
+  const tagged = !opts.tag && /^refs\/tags\//.test(git("rev-parse", "--symbolic-full-name", to).stdout) ? to : null;
+  // Keep a Changelog headings carry the bare version: v1.2.0 → [1.2.0]
+  const version = (opts.tag || tagged || "Unreleased").replace(/^v(?=\d)/, "");
+  const date    = version === "Unreleased" ? "" : ` - ${new Date().toISOString().slice(0, 10)}`;
+  let section = `## [${version}]${date}\n\n${entries}\n`;
+
+  console.log(`\n${section.split("\n").map(l => `  ${l}`).join("\n")}`);
+  if (opts.dryRun) { info("Dry run — nothing written."); return; }
+
+  if (opts.interactive) {
+    while (true) {
+      const choice = (await prompt(`Write to ${CHANGELOG_FILE}? (y / e=edit / q=quit) [y]: `)).toLowerCase() || "y";
+      if (choice === "q") { info("Nothing written."); return; }
+      if (choice === "y") break;
+      if (choice === "e") section = `${editInEditor(section, { name: "GTXR_CHANGELOG", markdown: true }) || section}\n`;
+    }
+  }
+
+  fs.writeFileSync(file, insertSection(pending ? clearUnreleased(existing) : existing, version, section));
+  ok(`${existing === null ? "Created" : "Updated"} ${CHANGELOG_FILE}`);
+
+  if (opts.tag) {
+    const conventional = opts.conventional || config.commitStyle === "conventional";
+    const subject = conventional ? `chore(release): ${opts.tag}` : `Release ${opts.tag}`;
+    const add    = git("add", "--", file);
+    const commit = add.ok ? git("commit", "-m", subject, "--", file) : add;
+    if (!commit.ok) {
+      err(`Could not commit ${CHANGELOG_FILE}: ${commit.stderr}`);
+      process.exit(EXIT.COMMIT_FAILED);
+    }
+    ok(`Committed: ${subject}`);
+    const notes = section.split("\n").slice(2).join("\n").trim();
+    const tag = git("tag", "-a", "--cleanup=verbatim", opts.tag, "-m", `${opts.tag}\n\n${notes}`);
+    if (!tag.ok) {
+      err(`Could not create tag '${opts.tag}': ${tag.stderr}`);
+      process.exit(EXIT.ERROR);
+    }
+    ok(`Tagged ${opts.tag} — push it with: git push --follow-tags`);
+  }
+  header("Done!");
+}
+
+// ---------------------------------------------------------------------------
+// Git hook — prepare-commit-msg for IDE and plain `git commit` users
+// ---------------------------------------------------------------------------
+const HOOK_NAME  = "prepare-commit-msg";
+const HOOK_BEGIN = "# >>> gtxr prepare-commit-msg >>>";
+const HOOK_END   = "# <<< gtxr prepare-commit-msg <<<";
+const HOOK_BLOCK = [
+  HOOK_BEGIN,
+  "# Fills in an AI commit message. Never blocks the commit.",
+  "if command -v gtxr >/dev/null 2>&1; then",
+  '  gtxr hook run "$1" "$2" "$3" </dev/null || true',
+  "fi",
+  HOOK_END,
+].join("\n");
+
+// Messages from -m/-F, merges, squashes and amends/-c/-C are kept as is.
+const HOOK_SKIP_SOURCES = ["message", "merge", "squash", "commit"];
+
+// Husky keeps its own hooks in core.hooksPath (.husky or .husky/_) and runs
+// the user's scripts from .husky/<name>; everything else uses the hooks dir
+// git reports, which honours core.hooksPath.
+function hookPath() {
+  const root = getRepoRoot();
+  const hooksPath = git("config", "core.hooksPath").stdout;
+  if (/^\.husky(\/_)?\/?$/.test(hooksPath)) return path.join(root, ".husky", HOOK_NAME);
+  return path.join(gitPath("hooks", path.join(root, ".git", "hooks")), HOOK_NAME);
+}
+
+function removeHookBlock(script) {
+  const start = script.indexOf(HOOK_BEGIN);
+  const end   = script.indexOf(HOOK_END);
+  if (start === -1 || end === -1) return script;
+  return (script.slice(0, start) + script.slice(end + HOOK_END.length))
+    .replace(/\n{3,}/g, "\n\n").trimEnd() + "\n";
+}
+
+// Adds the gtxr block to an existing shell hook, or writes a new one.
+// Returns null when the existing hook is not a shell script.
+function addHookBlock(script) {
+  if (script === null) return `#!/bin/sh\n${HOOK_BLOCK}\n`;
+  const shebang = script.split("\n")[0];
+  if (shebang.startsWith("#!") && !/\b(sh|bash|zsh|dash)\b/.test(shebang)) return null;
+  return `${removeHookBlock(script).trimEnd()}\n\n${HOOK_BLOCK}\n`;
+}
+
+function hookInstall() {
+  const file = hookPath();
+  let script = null;
+  try { script = fs.readFileSync(file, "utf8"); } catch (_) {}
+
+  const dir = path.dirname(file);
+  if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+    err(`Hooks are turned off here (core.hooksPath is ${dir}).`);
+    process.exit(EXIT.ERROR);
+  }
+
+  const updated = addHookBlock(script);
+  if (updated === null) {
+    err(`${file} is not a shell script — add this to it yourself:`);
+    console.log(`  gtxr hook run "$1" "$2" "$3"`);
+    process.exit(EXIT.ERROR);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, updated);
+  fs.chmodSync(file, 0o755);
+  ok(`${script === null ? "Installed" : "Added gtxr to"} ${path.relative(process.cwd(), file) || file}`);
+  info("Commits from git and IDEs now get an AI message when none is given.");
+}
+
+function hookUninstall() {
+  const file = hookPath();
+  let script;
+  try { script = fs.readFileSync(file, "utf8"); } catch (_) { script = ""; }
+  if (!script.includes(HOOK_BEGIN)) { warn("The gtxr hook is not installed."); return; }
+
+  const rest = removeHookBlock(script);
+  if (!rest.split("\n").filter(l => l.trim() && !l.startsWith("#!")).length) fs.unlinkSync(file);
+  else fs.writeFileSync(file, rest);
+  ok(`Removed gtxr from ${path.relative(process.cwd(), file) || file}`);
+}
+
+// Called by the hook: git passes the message file, the message source and
+// (for amends) a commit. Never prompts and never fails the commit.
+async function hookRun([file, source = ""]) {
+  if (!file || HOOK_SKIP_SOURCES.includes(source)) return;
+
+  const config  = resolveConfig();
+  const msgOpts = messageOptions(config, { trailers: [], interactive: false });
+  if (!isAiConfigured(config)) return;
+
+  const diff = git("diff", "--cached").stdout;
+  if (!diff) return;
+  if (config.secretScan !== false) {
+    const allowlist = loadAllowlist(getRepoRoot());
+    if (scanDiff(diff).some(f => !isAllowed(f, allowlist))) {
+      warn("gtxr: possible secrets in the staged changes — no AI message. Check them before committing.");
+      return;
+    }
+  }
+
+  try {
+    const message = await generateMessage(config, buildCommitPrompt(await condenseDiff(config, diff), msgOpts), msgOpts);
+    const existing = fs.readFileSync(file, "utf8");
+    fs.writeFileSync(file, `${message}\n${existing.startsWith("\n") ? "" : "\n"}${existing}`);
+  } catch (e) {
+    warn(`gtxr: could not generate a message (${e.message}).`);
+  }
+}
+
+async function cmdHook(opts) {
+  const [action, ...rest] = opts.hookArgs;
+  if (action === "run") return hookRun(rest);
+
+  header("GTXR Hook");
+  if (!isGitRepo()) {
+    err("Not a git repository. Run 'git init' first.");
+    process.exit(EXIT.ERROR);
+  }
+  if (action === "install")   return hookInstall();
+  if (action === "uninstall") return hookUninstall();
+  err("Usage: gtxr hook install | gtxr hook uninstall");
+  process.exit(EXIT.ERROR);
+}
+
+// ---------------------------------------------------------------------------
+// Operation journal — what run and split did, so undo can reverse it
+// ---------------------------------------------------------------------------
+const JOURNAL_FILE  = path.join(CONFIG_DIR, "journal.json");
+const JOURNAL_LIMIT = 100;
+
+function loadJournal() {
+  try { return JSON.parse(fs.readFileSync(JOURNAL_FILE, "utf8")); } catch (_) { return []; }
+}
+
+// Replaces the entry with the same id, or appends; keeps the newest entries.
+function upsertOperation(journal, op) {
+  return [...journal.filter(e => e.id !== op.id), op].slice(-JOURNAL_LIMIT);
+}
+
+// The latest operation in this repository that hasn't been undone yet.
+function lastOperation(journal, repo) {
+  return journal.filter(e => e.repo === repo && !e.undone).pop() || null;
+}
+
+// A journal that can't be written never stops a commit.
+function recordOperation(op) {
+  try {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.writeFileSync(JOURNAL_FILE, JSON.stringify(upsertOperation(loadJournal(), op), null, 2));
+  } catch (e) {
+    warn(`Could not write ${JOURNAL_FILE}: ${e.message}`);
+  }
+}
+
+function stagedPaths() {
+  const r = git("diff", "--cached", "--name-only");
+  return r.ok && r.stdout ? r.stdout.split("\n") : [];
+}
+
+function localBranches() {
+  const r = git("for-each-ref", "--format=%(refname:short)", "refs/heads");
+  return r.ok && r.stdout ? r.stdout.split("\n") : [];
+}
+
+function currentHead() {
+  return git("rev-parse", "--verify", "--quiet", "HEAD").stdout || null;
+}
+
+// headBefore is refreshed right before committing, since run may switch
+// branches first: undo resets the branch the commit landed on to it.
+function startOperation(command) {
+  const branch = getCurrentBranch();
+  return {
+    id:            `${Date.now().toString(36)}-${process.pid}`,
+    time:          new Date().toISOString(),
+    command,
+    repo:          getRepoRoot(),
+    branchBefore:  branch,
+    headBefore:    currentHead(),
+    preStaged:     stagedPaths(),
+    branch,
+    createdBranch: false,
+    staged:        [],
+    commits:       [],
+    pushed:        null,
+  };
+}
+
+// Records a branch switch, remembering whether gtxr created the branch.
+function noteBranch(op, branch, branchesBefore) {
+  op.branch = branch;
+  op.createdBranch = branch !== op.branchBefore && !branchesBefore.includes(branch);
+}
+
+function timeAgo(iso) {
+  const mins = Math.round((Date.now() - Date.parse(iso)) / 60000);
+  if (mins < 1)  return "just now";
+  if (mins < 60) return `${mins} min ago`;
+  const hours = Math.round(mins / 60);
+  return hours < 48 ? `${hours} h ago` : `${Math.round(hours / 24)} days ago`;
+}
+
+async function cmdUndo(opts) {
+  header("GTXR Undo");
+  if (!isGitRepo()) {
+    err("Not a git repository. Run 'git init' first.");
+    process.exit(EXIT.ERROR);
+  }
+
+  const op = lastOperation(loadJournal(), getRepoRoot());
+  if (!op) {
+    warn("Nothing to undo — no gtxr operation recorded for this repository.");
+    process.exit(EXIT.NOTHING);
+  }
+
+  const head = currentHead();
+  const last = op.commits[op.commits.length - 1];
+  const unstage = op.staged.filter(f => !op.preStaged.includes(f));
+  const switched = op.branch && op.branch !== op.branchBefore;
+
+  info(`Last operation: gtxr ${op.command}, ${timeAgo(op.time)}`);
+  for (const sha of op.commits) console.log(`  ${C.dim}commit${C.reset}  ${git("log", "-1", "--format=%h %s", sha).stdout || sha.slice(0, 7)}`);
+  if (unstage.length) console.log(`  ${C.dim}staged${C.reset}  ${unstage.join(", ")}`);
+  if (switched) console.log(`  ${C.dim}branch${C.reset}  ${op.branchBefore} → ${op.branch}${op.createdBranch ? " (created)" : ""}`);
+
+  const current = getCurrentBranch();
+  if (op.branch && current !== op.branch) {
+    err(`That operation was on '${op.branch}', but '${current}' is checked out — switch back to undo it.`);
+    process.exit(EXIT.ERROR);
+  }
+  if (last && head !== last) {
+    err(`HEAD has moved since (now ${head ? head.slice(0, 7) : "empty"}) — undo only reverses gtxr's latest commit.`);
+    process.exit(EXIT.ERROR);
+  }
+  if (!last && !unstage.length && !switched) {
+    warn("That operation left nothing to undo.");
+    process.exit(EXIT.NOTHING);
+  }
+
+  // A commit on any remote-tracking branch is shared: rewriting it locally
+  // would just diverge from the remote.
+  const onRemote = op.commits.filter(sha => git("branch", "-r", "--contains", sha).stdout);
+  if (onRemote.length) {
+    err(`Already pushed${op.pushed ? ` to ${op.pushed.remote}/${op.pushed.dest}` : ""} — undoing would rewrite shared history.`);
+    info(`Revert it instead: git revert ${onRemote.map(sha => sha.slice(0, 7)).reverse().join(" ")}`);
+    process.exit(EXIT.ERROR);
+  }
+  if (op.pushed) warn(`This was pushed to ${op.pushed.remote}/${op.pushed.dest}, but the remote no longer has it — undoing locally.`);
+
+  if (opts.interactive && (await prompt("Undo this? (y/n) [y]: ") || "y").toLowerCase() !== "y") {
+    info("Nothing changed.");
+    return;
+  }
+
+  if (last) {
+    const reset = op.headBefore ? git("reset", "--soft", op.headBefore) : git("update-ref", "-d", "HEAD");
+    if (!reset.ok) { err(`Could not undo the commit: ${reset.stderr}`); process.exit(EXIT.ERROR); }
+    ok(`Undid ${op.commits.length} commit(s) — the changes are kept.`);
+  }
+  if (unstage.length) {
+    const r = op.headBefore
+      ? git("reset", "-q", "--", ...unstage)
+      : git("rm", "-r", "-q", "--cached", "--", ...unstage);
+    if (r.ok) ok(`Unstaged: ${unstage.join(", ")}`);
+    else warn(`Could not unstage: ${r.stderr}`);
+  }
+  if (switched) {
+    const sw = git("checkout", op.branchBefore);
+    if (!sw.ok) warn(`Could not switch back to ${op.branchBefore}: ${sw.stderr}`);
+    else {
+      ok(`Switched back to ${op.branchBefore}`);
+      if (op.createdBranch && git("branch", "-d", op.branch).ok) ok(`Deleted ${op.branch}, which gtxr created`);
+    }
+  }
+
+  op.undone = new Date().toISOString();
+  recordOperation(op);
+  header("Done!");
+}
+
+// ---------------------------------------------------------------------------
+// Main workflow
+// ---------------------------------------------------------------------------
+async function run(opts) {
+  header(`GTXR v${VERSION}`);
+
+  if (!isGitRepo()) {
+    err("Not a git repository. Run 'git init' first.");
+    process.exit(EXIT.ERROR);
+  }
+
+  let config = resolveConfig();
+  if (opts.model) config = withModel(config, opts.model);
+
+  if (opts.remote && !getRemotes().includes(opts.remote)) {
+    err(`No remote named '${opts.remote}'. Remotes: ${getRemotes().join(", ") || "none"}`);
+    process.exit(EXIT.ERROR);
+  }
+
+  const op = startOperation("run");
+  const branchesBefore = localBranches();
+
+  let branch = getCurrentBranch();
+  if (opts.branch && opts.branch !== branch) {
+    branch = switchBranch(opts.branch);
+  }
+  const shown = await resolvePushTarget(branch, config, opts, false);
+  info(`Remote : ${shown ? `${shown.remote} (${getRemoteUrl(shown.remote)})` : "No remote configured"}`);
+  info(`Branch : ${branch}${shown && shown.upstream ? `  → tracks ${shown.upstream.remote}/${shown.upstream.branch}` : ""}`);
+
+  const status = getStatus();
+  if (!status) {
+    warn("No changes detected — nothing to commit.");
+    process.exit(EXIT.NOTHING);
+  }
+
+  console.log(`\n${C.cyan}Changes:${C.reset}\n${status}\n`);
+
+  // Stage files
+  let addArgs;
+  if (opts.all)              addArgs = ["."];
+  else if (opts.add.length)  addArgs = opts.add;
+  else if (!opts.interactive) addArgs = ["."];
+  else if (!opts.pick) {
+    const filesInput = await prompt("Files to add (. for all, ? to pick) [.]: ");
+    if (filesInput !== "?") addArgs = splitWords(filesInput || ".");
+  }
+
+  if (!addArgs) {
+    const picked = await pickFiles(getStatusEntries());
+    if (!picked || !picked.files.length && !picked.patch.length) {
+      warn("Nothing selected — nothing to commit.");
+      process.exit(EXIT.NOTHING);
+    }
+    if (!stagePicked(picked)) process.exit(EXIT.ERROR);
+    if (git("diff", "--cached", "--quiet").ok) {
+      warn("No hunks staged — nothing to commit.");
+      process.exit(EXIT.NOTHING);
+    }
+    ok(`Staged: ${[...picked.files, ...picked.patch].join(", ")}`);
+  } else {
+    const addResult = git("add", "--", ...addArgs);
+    if (!addResult.ok) {
+      err(`Failed to stage files: ${addResult.stderr}`);
+      process.exit(EXIT.ERROR);
+    }
+    ok(`Staged: ${addArgs.join(" ")}`);
+  }
+
+  op.staged = stagedPaths();
+  noteBranch(op, branch, branchesBefore);
+  recordOperation(op);
+
+  // Commit message
+  const diff = getDiff();
+  if (!checkSecrets(config, diff, opts)) process.exit(EXIT.SECRETS);
+
+  const context = condensedContext(config, diff);
+  branch = await guardProtectedBranch(branch, config, opts, context);
+  noteBranch(op, branch, branchesBefore);
+  recordOperation(op);
+  if (opts.forcePush && isProtectedBranch(branch, config)) {
+    err(`Refusing to force push protected branch '${branch}' — nothing was committed.`);
+    process.exit(EXIT.ERROR);
+  }
+
+  const message = await getCommitMessage(config, diff, messageOptions(config, opts), context);
+  if (!message) {
+    err("No usable commit message — nothing committed.");
+    process.exit(EXIT.ERROR);
+  }
+
+  // Commit
+  op.headBefore = currentHead();
+  recordOperation(op);
+  const commitResult = git("commit", "-m", message);
+  if (!commitResult.ok) {
+    err(`Commit failed: ${commitResult.stderr}`);
+    process.exit(EXIT.COMMIT_FAILED);
+  }
+  ok(`Committed: ${message}`);
+  op.commits.push(git("rev-parse", "HEAD").stdout);
+  recordOperation(op);
+
+  // Push
+  if (opts.noPush) {
+    info("Skipping push (--no-push).");
+    header("Done!");
+    return;
+  }
+
+  const doPush = opts.push || !opts.interactive ||
+    (await prompt("Push to remote? (y/n) [y]: ") || "y").toLowerCase() === "y";
+  if (doPush) {
+    const target = await resolvePushTarget(branch, config, opts, opts.interactive);
+    if (!target) {
+      err("No remote to push to. Add one with: git remote add origin <url>");
+      process.exit(EXIT.PUSH_FAILED);
+    }
+    if (opts.forcePush) {
+      if (!await forcePush(target, config, opts)) process.exit(EXIT.PUSH_FAILED);
+    } else {
+      reportAheadBehind(target);
+      if (!await push(target, { config, interactive: opts.interactive })) process.exit(EXIT.PUSH_FAILED);
+    }
+    // A pull --rebase during push rewrites the commit.
+    op.commits[op.commits.length - 1] = git("rev-parse", "HEAD").stdout;
+    op.pushed = { remote: target.remote, dest: target.dest };
+    recordOperation(op);
+  }
+
+  header("Done!");
+}
+
+// ---------------------------------------------------------------------------
+// Argument parser
+// ---------------------------------------------------------------------------
+const VALID_ARGS = new Set([
+  "-v", "--version", "-h", "--help",
+  "setup", "upgrade", "uninstall", "split", "pr", "changelog", "hook", "undo", "stats",
+  "--no-push", "--no-ai", "--force-push", "--conventional", "--body",
+  "--branch", "-b", "--trailer", "--model",
+  "--yes", "-y", "--all", "-a", "--message", "-m", "--add", "--push",
+  "--pick", "-p", "--allow-secrets", "--remote", "--base", "--draft",
+  "--tag", "--notes", "--dry-run", "--days",
+]);
+
+function parseArgs(argv) {
+  const opts = {
+    version: false, help: false,
+    setup: false, upgrade: false, uninstall: false, split: false, pr: false,
+    changelog: false, range: null, tag: null, notes: false, dryRun: false,
+    hook: false, hookArgs: [], undo: false, stats: false, days: null,
+    noPush: false, noAi: false, forcePush: false,
+    conventional: false, body: false,
+    branch: null, trailers: [], model: null,
+    yes: false, all: false, message: null, add: [], push: false,
+    pick: false, allowSecrets: false, remote: null, base: null, draft: false,
+  };
+
+  const args = argv.slice(2);
+  let i = 0;
+  while (i < args.length) {
+    const a = args[i].toLowerCase();
+
+    // gtxr changelog [from..to]
+    if (opts.changelog && !opts.range && !a.startsWith("-") && !VALID_ARGS.has(a)) {
+      opts.range = args[i++];
+      continue;
+    }
+
+    if (!VALID_ARGS.has(a)) {
+      err(`Unknown argument: '${args[i]}'`);
+      info("Run 'gtxr --help' to see valid commands.");
+      process.exit(1);
+    }
+
+    switch (a) {
+      case "-v": case "--version":   opts.version   = true; break;
+      case "-h": case "--help":      opts.help      = true; break;
+      case "setup":                  opts.setup     = true; break;
+      case "upgrade":                opts.upgrade   = true; break;
+      case "uninstall":              opts.uninstall = true; break;
+      case "split":                  opts.split     = true; break;
+      case "pr":                     opts.pr        = true; break;
+      case "changelog":              opts.changelog = true; break;
+      case "undo":                   opts.undo      = true; break;
+      case "stats":                  opts.stats     = true; break;
+      case "hook":
+        // Everything after "hook" belongs to it: install, uninstall, or the
+        // arguments git passes to the hook.
+        opts.hook = true;
+        opts.hookArgs = args.slice(i + 1);
+        i = args.length;
+        break;
+      case "--notes":                opts.notes     = true; break;
+      case "--dry-run":              opts.dryRun    = true; break;
+      case "--tag":
+        i++;
+        if (i >= args.length) {
+          err("--tag requires a version, e.g. v1.2.0.");
+          process.exit(EXIT.ERROR);
+        }
+        opts.tag = args[i];
+        break;
+      case "--days":
+        i++;
+        opts.days = Number(args[i]);
+        if (!Number.isInteger(opts.days) || opts.days <= 0) {
+          err("--days requires a positive whole number of days.");
+          process.exit(EXIT.ERROR);
+        }
+        break;
+      case "--draft":                opts.draft     = true; break;
+      case "--no-push":              opts.noPush    = true; opts.push = false; break;
+      case "--push":                 opts.push      = true; opts.noPush = false; break;
+      case "-y": case "--yes":       opts.yes       = true; break;
+      case "-a": case "--all":       opts.all       = true; break;
+      case "-p": case "--pick":      opts.pick      = true; break;
+      case "--allow-secrets":        opts.allowSecrets = true; break;
+      case "-m": case "--message":
+        i++;
+        if (i >= args.length || !args[i].trim()) {
+          err("--message requires a commit message.");
+          process.exit(EXIT.ERROR);
+        }
+        opts.message = args[i];
+        break;
+      case "--add":
+        // Takes every following argument up to the next option.
+        while (i + 1 < args.length && !args[i + 1].startsWith("-")) opts.add.push(args[++i]);
+        if (!opts.add.length) {
+          err("--add requires at least one pathspec.");
+          process.exit(EXIT.ERROR);
+        }
+        break;
+      case "--no-ai":                opts.noAi      = true; break;
+      case "--force-push":           opts.forcePush = true; break;
+      case "--conventional":         opts.conventional = true; break;
+      case "--body":                 opts.body      = true; break;
+      case "--remote":
+        i++;
+        if (i >= args.length) {
+          err("--remote requires a remote name.");
+          process.exit(EXIT.ERROR);
+        }
+        opts.remote = args[i];
+        break;
+      case "--base":
+        i++;
+        if (i >= args.length) {
+          err("--base requires a branch name.");
+          process.exit(EXIT.ERROR);
+        }
+        opts.base = args[i];
+        break;
+      case "--model":
+        i++;
+        if (i >= args.length) {
+          err("--model requires a model id.");
+          process.exit(1);
+        }
+        opts.model = args[i];
+        break;
+      case "--trailer": {
+        i++;
+        const trailer = i < args.length ? parseTrailer(args[i]) : null;
+        if (!trailer) {
+          err("--trailer requires a value like 'Refs: #123'.");
+          process.exit(1);
+        }
+        opts.trailers.push(trailer);
+        break;
+      }
+      case "--branch": case "-b":
+        i++;
+        if (i >= args.length) {
+          err("--branch requires a branch name.");
+          process.exit(1);
+        }
+        opts.branch = args[i];
+        break;
+    }
+    i++;
+  }
+  return opts;
+}
+
+// ---------------------------------------------------------------------------
+// Programmatic API — the non-interactive core, for tools and editor plugins
+// ---------------------------------------------------------------------------
+
+// Replaces the git runner, AI client, status-line logger — (level, message),
+// level one of ok/info/warn/error — or working directory; null restores the
+// default.
+function configure(options = {}) {
+  if ("git" in options) runtime.git = options.git || spawnGit;
+  if ("ai" in options)  runtime.ai  = options.ai || null;
+  if ("log" in options) runtime.log = options.log || printLog;
+  if ("cwd" in options) runtime.cwd = options.cwd ? path.resolve(options.cwd) : null;
+}
+
+// Describes the pending changes (staged, or unstaged when nothing is staged)
+// exactly as `gtxr` would, without prompting. Options are the message flags
+// (conventional, body, trailers, ...) plus `config` and `allowSecrets`.
+// Rejects with code GTXR_NOTHING, GTXR_SECRETS (with `findings`) or
+// GTXR_CONFIG; AI failures reject with the provider's error.
+async function generateCommitMessage(options = {}) {
+  const { config = resolveConfig(), allowSecrets = false, ...flags } = options;
+  const opts = messageOptions(config, { trailers: [], ...flags, interactive: false });
+
+  const diff = getDiff();
+  if (!diff) {
+    const e = new Error("No changes to describe.");
+    e.code = "GTXR_NOTHING";
+    throw e;
+  }
+  if (config.secretScan !== false && !allowSecrets) {
+    const allowlist = loadAllowlist(getRepoRoot());
+    const findings  = scanDiff(diff).filter(f => !isAllowed(f, allowlist));
+    if (findings.length) {
+      const e = new Error(`Possible secrets in the changes (${findings.length}) — nothing was sent to AI.`);
+      e.code = "GTXR_SECRETS";
+      e.findings = findings;
+      throw e;
+    }
+  }
+  if (!runtime.ai && !isAiConfigured(config)) {
+    const e = new Error("AI not configured — run: gtxr setup");
+    e.code = "GTXR_CONFIG";
+    throw e;
+  }
+  return generateMessage(config, buildCommitPrompt(await condenseDiff(config, diff), opts), opts);
+}
+
+module.exports = {
+  VERSION,
+  EXIT,
+  main,
+  configure,
+
+  // Config
+  resolveConfig,
+  loadConfig,
+  mergeConfig,
+
+  // Git
+  git,
+  isGitRepo,
+  getRepoRoot,
+  getCurrentBranch,
+  getStatusEntries,
+  getStagedFiles,
+
+  // Diffs
+  getDiff,
+  splitDiff,
+  condenseDiff,
+  scanDiff,
+
+  // Messages
+  generateCommitMessage,
+  messageOptions,
+  buildCommitPrompt,
+  generateMessage,
+  finishMessage,
+  lintMessage,
+  lintRules,
+  validateConventional,
+  callAI,
+
+  // Pushing
+  resolvePushTarget,
+  aheadBehind,
+  push,
+
+  // Not part of the public API: helpers exported for tests/test_gitauto.js.
+  // They may change in any release.
+  internals: {
+    CONFIG_FILE, WELCOME_MARKER, PROVIDERS, AI_PACKAGES, ENCRYPTED_PREFIX,
+    ENV_FILE, CHANGELOG_HEADER, DEFAULT_LINT, DEFAULT_TICKET, SCISSORS, HOOK_BEGIN, HOOK_BLOCK, JOURNAL_LIMIT,
+    parseArgs, firstRunCheck, saveConfig, readRepoConfig, findRepoConfigs, envConfig,
+    isProtectedBranch, splitWords, globToRegExp, pickerKey,
+    aiSettings, validateAiSettings, withModel, isModelRejected, isAiConfigured, handleAiError,
+    encryptSecret, decryptSecret, runKeyCommand, apiKeyFor, providerConfig, providerChain, isTransientError, retryDelay, callCustom,
+    modelPrice, usageCost, budgetSettings, monthSpend, summarizeUsage,
+    isRejected, splitRemoteRef, leaseFlag, forcePush, isRebasing, parseConflicts, renderResolved, resolveBlock, aiMergeBlock,
+    getCommitMessage, branchTicket, inferScope, inferType, wrapBody, parseTrailer, appendTrailers, findTicket, insertTicket,
+    diffBudget, noiseReason, chunkFiles, scanLine, isAllowed, parseAiIgnore, isAiIgnored, redactText,
+    slugify, branchFromPattern, parseBranchSuggestion, suggestBranchParts, condensedContext, parseSplitPlan, moveFile, fixPlanMessages,
+    parseRemoteUrl, githubSettings, parsePr, prFromCommits,
+    classifyCommit, parseClassification, renderEntries, insertSection, unreleasedEntries, clearUnreleased, mergeEntries,
+    removeHookBlock, addHookBlock, upsertOperation, lastOperation,
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Entry
+// ---------------------------------------------------------------------------
+async function main(argv = process.argv) {
+  const opts = parseArgs(argv);
+
+  if (opts.help)    { printHelp(); process.exit(0); }
+  if (opts.version) { console.log(`GTXR v${VERSION}`); process.exit(0); }
+  if (opts.upgrade) { await cmdUpgrade(); process.exit(0); }
+  if (opts.uninstall){ await cmdUninstall(opts); process.exit(0); }
+  if (opts.hook)    { await cmdHook(opts); process.exit(0); }
+  if (opts.stats)   { await cmdStats(opts); process.exit(0); }
+
+  firstRunCheck();
+
+  if (opts.setup) { await cmdSetup(); process.exit(0); }
+
+  // No terminal on stdin (CI, editor integrations, pipes) means nobody can
+  // answer prompts: take the flags and defaults instead.
+  opts.interactive = !opts.yes && Boolean(process.stdin.isTTY);
+
+  try {
+    if (opts.split) await cmdSplit(opts);
+    else if (opts.pr) await cmdPr(opts);
+    else if (opts.changelog) await cmdChangelog(opts);
+    else if (opts.undo) await cmdUndo(opts);
+    else await run(opts);
+  } catch (e) {
+    err(`Unexpected error: ${e.message}`);
+    process.exit(EXIT.ERROR);
+  }
+}
+
+if (require.main === module) main();